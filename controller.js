@@ -0,0 +1,132 @@
+import { RemoteConnection } from './remote.js';
+
+// Drives every display listening on the channel (index.html?remote). Tabs on
+// this machine are reached directly; ?relay=ws://host:8765 also goes through
+// a relay to displays on other devices.
+class Controller {
+    constructor(root) {
+        this.root = root;
+        this.state = null;
+        this.pending = new Map();
+
+        const relay = new URLSearchParams(window.location.search).get('relay');
+        this.connection = new RemoteConnection({ url: relay });
+        this.connection.onMessage(message => this.onMessage(message));
+        // Displays behind the relay only hear the hello once it is connected
+        this.connection.onStatus(status => {
+            if (status === 'open') this.connection.send({ type: 'hello' });
+            this.renderStatus();
+        });
+
+        this.setupControls();
+        this.connection.send({ type: 'hello' });
+    }
+
+    // Errors come back in a result message; commands nobody answers are
+    // forgotten after a while
+    send(command, ...args) {
+        const id = this.connection.send({ type: 'command', command, args });
+        this.pending.set(id, command);
+        setTimeout(() => this.pending.delete(id), 10000);
+    }
+
+    setupControls() {
+        const root = this.root;
+
+        root.querySelectorAll('[data-command]').forEach(button => {
+            button.onclick = () => this.send(button.dataset.command);
+        });
+
+        const strength = root.querySelector('#interaction-strength');
+        strength.onchange = () => this.send('setInteractionStrength', strength.value / 100);
+
+        const zoom = root.querySelector('#zoom');
+        zoom.onchange = () => this.send('setZoom', zoom.value / 100);
+
+        root.querySelector('.pause-toggle').onclick = () => this.send('setPaused', !this.state?.paused);
+
+        const presetSelect = root.querySelector('.preset-select');
+        presetSelect.onchange = () => {
+            if (presetSelect.value) this.send('loadPreset', presetSelect.value);
+        };
+
+        const paletteSelect = root.querySelector('.palette-select');
+        paletteSelect.onchange = () => this.send('setPalette', paletteSelect.value);
+    }
+
+    onMessage(message) {
+        if (message.type === 'state') {
+            this.state = message.state;
+            this.render();
+        } else if (message.type === 'result' && this.pending.has(message.replyTo)) {
+            const command = this.pending.get(message.replyTo);
+            this.pending.delete(message.replyTo);
+            this.showError(message.ok ? '' : `${command}: ${message.error}`);
+        }
+    }
+
+    render() {
+        const { root, state } = this;
+
+        // Mode buttons follow the formations the display offers
+        const modeSelector = root.querySelector('.mode-selector');
+        const modeNames = state.modes.map(({ name }) => name).join();
+        if (modeSelector.dataset.modes !== modeNames) {
+            modeSelector.dataset.modes = modeNames;
+            modeSelector.innerHTML = '';
+            state.modes.forEach(({ name, label }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.mode = name;
+                button.textContent = label;
+                button.onclick = () => this.send('setMode', name);
+                modeSelector.appendChild(button);
+            });
+        }
+        modeSelector.querySelectorAll('button').forEach(button => {
+            const active = button.dataset.mode === state.mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        // Leave sliders alone while they are being dragged
+        const strength = root.querySelector('#interaction-strength');
+        if (document.activeElement !== strength) strength.value = Math.round(state.interactionStrength * 100);
+        const zoom = root.querySelector('#zoom');
+        if (document.activeElement !== zoom) zoom.value = Math.round(state.zoom * 100);
+
+        const soundButton = root.querySelector('[data-command="toggleSound"]');
+        soundButton.hidden = !state.soundAvailable;
+        soundButton.textContent = state.sound ? '🔊' : '🔇';
+        soundButton.setAttribute('aria-pressed', String(state.sound));
+
+        const pauseButton = root.querySelector('.pause-toggle');
+        pauseButton.textContent = state.paused ? '▶' : '⏸';
+        pauseButton.setAttribute('aria-label', state.paused ? 'Resume' : 'Pause');
+        pauseButton.setAttribute('aria-pressed', String(state.paused));
+
+        this.renderOptions(root.querySelector('.preset-select'), state.presets, '', 'Presets');
+        this.renderOptions(root.querySelector('.palette-select'), state.palettes, state.palette);
+
+        this.renderStatus();
+    }
+
+    renderOptions(select, names, selected, placeholder = null) {
+        select.innerHTML = '';
+        if (placeholder) select.add(new Option(placeholder, ''));
+        names.forEach(name => select.add(new Option(name, name)));
+        select.value = selected;
+    }
+
+    renderStatus() {
+        const relay = { open: ', relay connected', closed: ', relay disconnected', off: '' }[this.connection.status];
+        const status = this.state ? `Connected, showing ${this.state.mode}` : 'Waiting for a display…';
+        this.root.querySelector('.controller-status').textContent = status + relay;
+    }
+
+    showError(text) {
+        this.root.querySelector('.controller-error').textContent = text;
+    }
+}
+
+new Controller(document.querySelector('.controller-panel'));
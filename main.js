@@ -1,313 +1,4951 @@
 import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+import { RemoteConnection } from './remote.js';
+
+// Small seeded PRNG (mulberry32) so formation layouts can be reproduced
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, used to give every formation its own stream from the same seed
+function hashString(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// name, or name-2, name-3 and so on, whichever the registry doesn't have yet
+function uniqueName(registry, name) {
+    let unique = name;
+    for (let n = 2; registry.has(unique); n++) {
+        unique = `${name}-${n}`;
+    }
+    return unique;
+}
+
+const easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+// Turns a per-frame easing factor tuned at 60 fps into one for a step of dt
+// seconds, so smoothing looks the same at any frame rate
+const damp = (factor, dt) => 1 - Math.pow(1 - factor, dt * 60);
+
+// Registered formations keyed by mode name. Registration order decides the
+// button order and the index the particle shader switches on.
+const formations = new Map();
+const formationListeners = new Set();
+
+// position(idx, total, rng) returns the particle's slot as { x, y, z } in
+// roughly the -1..1 range; rng() returns a float in [0, 1). idleMotion is a
+// GLSL snippet that displaces `vec3 pos` at time `float t`.
+export function registerFormation(name, { label = name, position, idleMotion = '' }) {
+    if (typeof position !== 'function') {
+        throw new TypeError(`Formation "${name}" needs a position(idx, total, rng) function`);
+    }
+
+    const index = formations.has(name) ? formations.get(name).index : formations.size;
+    formations.set(name, { name, label, position, idleMotion, index });
+    formationListeners.forEach(listener => listener(name));
+}
+
+registerFormation('sphere', {
+    label: 'Sphere',
+    position(idx, total, rng) {
+        const radius = 1;
+        const theta = rng() * Math.PI * 2;
+        const phi = Math.acos((rng() * 2) - 1);
+        return {
+            x: radius * Math.sin(phi) * Math.cos(theta),
+            y: radius * Math.sin(phi) * Math.sin(theta),
+            z: radius * Math.cos(phi)
+        };
+    },
+    idleMotion: `
+        pos.y += sin(t * 0.5 + pos.x) * 0.1;
+        pos.z += cos(t * 0.5 + pos.x) * 0.1;
+    `
+});
+
+registerFormation('cube', {
+    label: 'Cube',
+    position(idx, total, rng) {
+        return {
+            x: (rng() - 0.5) * 2,
+            y: (rng() - 0.5) * 2,
+            z: (rng() - 0.5) * 2
+        };
+    },
+    idleMotion: `
+        pos.x += sin(t + pos.y) * 0.06;
+        pos.z += cos(t + pos.y) * 0.06;
+    `
+});
+
+registerFormation('tornado', {
+    label: 'Tornado',
+    position(idx, total) {
+        const angle = (idx / total) * Math.PI * 20;
+        const radius = (idx / total) * 1.5;
+        return {
+            x: Math.cos(angle) * radius,
+            y: (idx / total) * 4 - 2,
+            z: Math.sin(angle) * radius
+        };
+    },
+    idleMotion: `
+        float angle = atan(pos.z, pos.x) + t * 0.5;
+        float radius = length(pos.xz);
+        pos.x = cos(angle) * radius;
+        pos.z = sin(angle) * radius;
+    `
+});
+
+registerFormation('torus', {
+    label: 'Torus',
+    position(idx, total, rng) {
+        const majorRadius = 0.8;
+        const minorRadius = 0.3;
+        const u = rng() * Math.PI * 2;
+        const v = rng() * Math.PI * 2;
+        return {
+            x: (majorRadius + minorRadius * Math.cos(v)) * Math.cos(u),
+            y: minorRadius * Math.sin(v),
+            z: (majorRadius + minorRadius * Math.cos(v)) * Math.sin(u)
+        };
+    },
+    idleMotion: `
+        pos.y += sin(t + atan(pos.z, pos.x) * 3.0) * 0.05;
+    `
+});
+
+registerFormation('helix', {
+    label: 'Helix',
+    position(idx, total, rng) {
+        // Two intertwined strands, each particle jittered around its strand
+        const strand = idx % 2;
+        const progress = idx / total;
+        const angle = progress * Math.PI * 8 + strand * Math.PI;
+        const radius = 0.5 + (rng() - 0.5) * 0.08;
+        return {
+            x: Math.cos(angle) * radius,
+            y: progress * 3 - 1.5 + (rng() - 0.5) * 0.04,
+            z: Math.sin(angle) * radius
+        };
+    },
+    idleMotion: `
+        float angle = atan(pos.z, pos.x) + t * 0.3;
+        float radius = length(pos.xz);
+        pos.x = cos(angle) * radius;
+        pos.z = sin(angle) * radius;
+    `
+});
+
+registerFormation('galaxy', {
+    label: 'Galaxy',
+    position(idx, total, rng) {
+        const arms = 3;
+        const radius = Math.pow(rng(), 1.5) * 1.5;
+        const armAngle = (idx % arms) / arms * Math.PI * 2;
+        const angle = armAngle + radius * 3;
+        const scatter = (1 - radius / 1.5) * 0.15 + 0.05;
+        return {
+            x: Math.cos(angle) * radius + (rng() - 0.5) * scatter,
+            y: (rng() - 0.5) * scatter * 0.6,
+            z: Math.sin(angle) * radius + (rng() - 0.5) * scatter
+        };
+    },
+    idleMotion: `
+        // Inner stars orbit faster than the outer arms
+        float radius = length(pos.xz);
+        float angle = atan(pos.z, pos.x) + t * 0.3 / (0.3 + radius);
+        pos.x = cos(angle) * radius;
+        pos.z = sin(angle) * radius;
+    `
+});
+
+// Registered effects keyed by name. Each one gets a slot in the particle
+// shader: a function returning the offset to add to a particle, plus a vec4
+// state uniform (elapsed, progress, transition, strength) and a vec2 of
+// (duration, transitionDuration).
+const effects = new Map();
+const effectListeners = new Set();
+
+// offset is the GLSL body of
+//     vec3 fn(vec3 pos, vec3 home, float elapsed, float progress, float transition, float duration)
+// where progress runs 0-1 over the effect and transition 0-1 over the return
+// to the formation. uniforms declares extra { uName: { type, value } } the
+// snippet reads. start(effect, animation), update(effect, dt, progress) and
+// finish(effect, completed) are optional lifecycle hooks. Effects with
+// button: false get no button in the effect controls.
+export function registerEffect(name, {
+    label = name,
+    duration = 2,
+    transitionDuration = 1.5,
+    offset,
+    uniforms = {},
+    button = true,
+    start,
+    update,
+    finish
+}) {
+    if (typeof offset !== 'string') {
+        throw new TypeError(`Effect "${name}" needs a GLSL offset snippet`);
+    }
+
+    const index = effects.has(name) ? effects.get(name).index : effects.size;
+    effects.set(name, {
+        name, label, duration, transitionDuration, offset, uniforms, button, start, update, finish, index
+    });
+    effectListeners.forEach(listener => listener(name));
+}
+
+registerEffect('expand', {
+    label: 'Expand',
+    duration: 2,
+    transitionDuration: 1.5,
+    button: false,
+    uniforms: {
+        uExpandSpeed: { type: 'float', value: 9 }
+    },
+    start(effect, animation) {
+        animation.releaseSparks();
+    },
+    // Outward spiral burst, then an eased return to the formation slot
+    offset: `
+        float t = min(elapsed, duration);
+        float len = max(length(home), 0.0001);
+        float angle = atan(home.z, home.x) + PI / 2.0;
+        vec3 direction = vec3(
+            home.x / len + cos(angle) * 0.5,
+            home.y / len,
+            home.z / len + sin(angle) * 0.5
+        );
+
+        // Velocity decays to half over the burst, gravity eases off with it
+        float travel = t - t * t / (4.0 * duration);
+        vec3 offset = direction * uExpandSpeed * travel;
+        offset.y += 0.12 * (t - t * t / (2.0 * duration));
+        offset.y -= 1.8 * t * t * (1.0 - t / (6.0 * duration));
+
+        return offset * (1.0 - smoothstep(0.0, 1.0, transition));
+    `
+});
+
+registerEffect('collapse', {
+    label: 'Collapse',
+    duration: 2,
+    transitionDuration: 1.5,
+    button: false,
+    uniforms: {
+        uCollapseCenter: { type: 'vec3', value: new THREE.Vector3() }
+    },
+    // Collapse towards the center of the current formation
+    start(effect, animation) {
+        const positions = animation.particles.geometry.attributes.position.array;
+        const particleCount = positions.length / 3;
+
+        let centerX = 0, centerY = 0, centerZ = 0;
+        for (let i = 0; i < positions.length; i += 3) {
+            centerX += positions[i];
+            centerY += positions[i + 1];
+            centerZ += positions[i + 2];
+        }
+
+        effect.uniforms.uCollapseCenter.value.set(
+            centerX / particleCount,
+            centerY / particleCount,
+            centerZ / particleCount
+        );
+    },
+    // Inward vortex towards the center, then an eased return
+    offset: `
+        float t = min(elapsed, duration);
+        vec3 local = pos - uCollapseCenter;
+        float dist = length(local);
+        float shrink = exp(-1.2 * (t - t * t / (4.0 * duration)));
+
+        float angle = elapsed * 3.0;
+        float spiral = 0.5 * (1.0 - shrink);
+        vec3 collapsed = uCollapseCenter + local * shrink + vec3(
+            cos(angle + dist * 2.0) * spiral,
+            sin(angle + dist * 3.0) * spiral * 0.5,
+            sin(angle + dist * 2.0) * spiral
+        );
+
+        return (collapsed - pos) * (1.0 - sin(transition * PI / 2.0));
+    `
+});
+
+registerEffect('shockwave', {
+    label: 'Shockwave',
+    duration: 2,
+    transitionDuration: 0.5,
+    uniforms: {
+        uShockwaveSpeed: { type: 'float', value: 1.2 },
+        uShockwaveAmplitude: { type: 'float', value: 0.25 },
+        uShockwaveWidth: { type: 'float', value: 0.12 }
+    },
+    // A ring front travels out from the center, leaving ripples behind it
+    offset: `
+        float front = elapsed * uShockwaveSpeed;
+        float dist = length(home);
+        float ring = exp(-pow((dist - front) / uShockwaveWidth, 2.0));
+        float behind = max(front - dist, 0.0);
+        float ripple = sin(behind * 30.0) * exp(-behind * 5.0) * step(dist, front) * 0.4;
+        float fade = (1.0 - progress * 0.5) * (1.0 - transition);
+        return normalize(home + 0.0001) * uShockwaveAmplitude * (ring + ripple) * fade;
+    `
+});
+
+registerEffect('swirl', {
+    label: 'Swirl',
+    duration: 3,
+    transitionDuration: 1.5,
+    uniforms: {
+        uSwirlStrength: { type: 'float', value: 3 }
+    },
+    // Particles wind around the y axis, faster near it, and get pulled
+    // towards the poles like iron filings along field lines
+    offset: `
+        float envelope = sin(progress * PI * 0.5) * (1.0 - smoothstep(0.0, 1.0, transition));
+        float radius = length(pos.xz);
+        float angle = envelope * uSwirlStrength / (0.3 + radius);
+        float c = cos(angle);
+        float s = sin(angle);
+        vec3 swirled = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
+        swirled.xz *= 1.0 - envelope * 0.3;
+        swirled.y += envelope * 0.35 * sign(pos.y) * (1.0 - min(radius, 1.0));
+        return swirled - pos;
+    `
+});
+
+registerEffect('shatter', {
+    label: 'Shatter',
+    duration: 1.5,
+    transitionDuration: 1.5,
+    uniforms: {
+        uShatterForce: { type: 'float', value: 1.2 },
+        uShatterPieces: { type: 'float', value: 4 }
+    },
+    // The formation breaks into grid cells that fly apart and spin as shards
+    offset: `
+        vec3 cell = floor(home * uShatterPieces);
+        vec3 direction = normalize(hash3(cell) - 0.5 + normalize(home + 0.0001) * 0.5);
+        float burst = 1.0 - pow(1.0 - progress, 3.0);
+        float settle = 1.0 - smoothstep(0.0, 1.0, transition);
+
+        vec3 local = home - (cell + 0.5) / uShatterPieces;
+        float angle = burst * (hash3(cell + 7.0).x - 0.5) * 4.0;
+        float c = cos(angle);
+        float s = sin(angle);
+        vec3 spun = vec3(local.x * c - local.z * s, local.y, local.x * s + local.z * c);
+
+        return (direction * burst * uShatterForce + spun - local) * settle;
+    `
+});
+
+function buildEffectUniformsChunk() {
+    return [...effects.values()].map(effect => [
+        `uniform vec4 uEffectState${effect.index};`,
+        `uniform vec2 uEffectDuration${effect.index};`,
+        ...Object.entries(effect.uniforms).map(([name, { type }]) => `uniform ${type} ${name};`)
+    ].join('\n    ')).join('\n    ');
+}
+
+function buildEffectFunctionsChunk() {
+    return [...effects.values()].map(effect => `
+    // ${effect.name}
+    vec3 effect${effect.index}(vec3 pos, vec3 home, float elapsed, float progress, float transition, float duration) {${effect.offset}}`
+    ).join('\n');
+}
+
+function buildEffectCallsChunk() {
+    return [...effects.values()].map(({ index }) => `
+        if (uEffectState${index}.w > 0.0) {
+            effectOffset += effect${index}(pos, home, uEffectState${index}.x, uEffectState${index}.y,
+                uEffectState${index}.z, uEffectDuration${index}.x) * uEffectState${index}.w;
+        }`
+    ).join('');
+}
+
+// Per-instance copies of every effect's uniforms
+function createEffectUniforms() {
+    const uniforms = {};
+    effects.forEach(effect => {
+        uniforms[`uEffectState${effect.index}`] = { value: new THREE.Vector4() };
+        uniforms[`uEffectDuration${effect.index}`] = {
+            value: new THREE.Vector2(effect.duration, effect.transitionDuration)
+        };
+        Object.entries(effect.uniforms).forEach(([name, { value }]) => {
+            uniforms[name] = { value: value?.clone ? value.clone() : value };
+        });
+    });
+    return uniforms;
+}
+
+// Runs effects through their lifecycle. Running effects combine: each adds
+// its own offset in the shader. Only one instance of an effect runs at a
+// time; playing it again queues it behind the running one (policy 'queue')
+// or drops the request (policy 'ignore'). Exclusive effects wait until
+// nothing else is running. Cancelling fades an effect out instead of
+// snapping particles back.
+class EffectManager {
+    constructor(animation) {
+        this.animation = animation;
+        this.active = new Map();
+        this.queue = [];
+        this.cancelFadeDuration = 0.4;
+    }
+
+    // Resolves true when the effect completes, false if it was cancelled or
+    // dropped
+    play(name, { policy = 'queue', exclusive = false } = {}) {
+        if (!effects.has(name)) {
+            console.warn(`Unknown effect "${name}"`);
+            return Promise.resolve(false);
+        }
+
+        // A waiting exclusive effect holds back everything played after it
+        const blocked = !this.canStart({ name, exclusive }) || this.queue.some(entry => entry.exclusive);
+        const alreadyQueued = this.queue.some(entry => entry.name === name);
+        if (blocked && (policy === 'ignore' || alreadyQueued)) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            const entry = { name, exclusive, resolve };
+            if (blocked) {
+                this.queue.push(entry);
+            } else {
+                this.start(entry);
+            }
+        });
+    }
+
+    // An effect waits for its own previous run, and for everything else when
+    // either side is exclusive
+    canStart({ name, exclusive }) {
+        if (this.active.has(name)) return false;
+        if (this.active.size === 0) return true;
+        return !exclusive && ![...this.active.values()].some(effect => effect.exclusive);
+    }
+
+    isActive(name) {
+        return name ? this.active.has(name) : this.active.size > 0;
+    }
+
+    cancel(name) {
+        this.queue = this.queue.filter(entry => {
+            if (entry.name !== name) return true;
+            entry.resolve(false);
+            return false;
+        });
+
+        const effect = this.active.get(name);
+        if (effect) {
+            effect.cancelling = true;
+        }
+    }
+
+    cancelAll() {
+        [...this.active.keys(), ...this.queue.map(entry => entry.name)].forEach(name => this.cancel(name));
+    }
+
+    start({ name, exclusive, resolve }) {
+        const definition = effects.get(name);
+        const uniforms = this.animation.particles.material.uniforms;
+        const durations = uniforms[`uEffectDuration${definition.index}`].value;
+        const effect = {
+            name,
+            definition,
+            exclusive,
+            resolve,
+            uniforms,
+            duration: durations.x,
+            transitionDuration: durations.y,
+            elapsed: 0,
+            progress: 0,
+            transition: 0,
+            strength: 1,
+            cancelling: false
+        };
+
+        this.active.set(name, effect);
+        definition.start?.(effect, this.animation);
+        this.animation.onEffectStart(effect);
+    }
+
+    finish(effect, completed) {
+        this.active.delete(effect.name);
+        effect.uniforms[`uEffectState${effect.definition.index}`].value.set(0, 0, 0, 0);
+        effect.definition.finish?.(effect, completed);
+        effect.resolve(completed);
+        this.animation.onEffectEnd(effect, completed);
+    }
+
+    // Drops everything at once, e.g. when the animation is destroyed
+    clear() {
+        this.queue.forEach(entry => entry.resolve(false));
+        this.active.forEach(effect => effect.resolve(false));
+        this.queue = [];
+        this.active.clear();
+    }
+
+    update(dt) {
+        this.active.forEach(effect => {
+            effect.elapsed += dt;
+            effect.progress = Math.min(effect.elapsed / effect.duration, 1);
+            effect.transition = Math.min(Math.max((effect.elapsed - effect.duration) / effect.transitionDuration, 0), 1);
+
+            if (effect.cancelling) {
+                effect.strength -= dt / this.cancelFadeDuration;
+            }
+
+            effect.definition.update?.(effect, dt, effect.progress);
+
+            if (effect.strength <= 0) {
+                this.finish(effect, false);
+            } else if (effect.elapsed >= effect.duration + effect.transitionDuration) {
+                this.finish(effect, true);
+            } else {
+                effect.uniforms[`uEffectState${effect.definition.index}`].value.set(
+                    effect.elapsed, effect.progress, effect.transition, effect.strength);
+            }
+        });
+
+        // Start queued effects, in order, once their slot is free
+        const waiting = [];
+        this.queue.forEach(entry => {
+            if (waiting.some(other => other.exclusive) || !this.canStart(entry)) {
+                waiting.push(entry);
+            } else {
+                this.start(entry);
+            }
+        });
+        this.queue = waiting;
+    }
+}
+
+// Color palettes keyed by name. stops are colors in any CSS format, spread
+// evenly, or [position, color] pairs with positions from 0 to 1. background
+// is a color or { inner, outer } for a radial gradient. As the colors cycle,
+// gradients ping-pong back and forth unless wrap is set, which suits
+// palettes whose two ends meet.
+const palettes = new Map();
+const paletteListeners = new Set();
+
+// What picks a particle's place along the palette
+const COLOR_SOURCES = ['angle', 'height', 'distance', 'speed', 'depth', 'index'];
+
+const PALETTE_TEXTURE_SIZE = 256;
+
+// The canvas gradient and THREE.Color only take colors the browser parses
+const isCSSColor = color => typeof color === 'string'
+    && (typeof CSS === 'undefined' || CSS.supports('color', color));
+
+// Checks a palette definition, which may come from an untrusted JSON file
+function normalizePalette({ label, stops, background = '#000000', wrap = false }) {
+    if (!Array.isArray(stops) || stops.length === 0) {
+        throw new TypeError(`Palette "${label}" needs at least one color stop`);
+    }
+
+    const normalizedStops = stops.map((stop, index) => {
+        const [position, color] = Array.isArray(stop)
+            ? stop
+            : [stops.length > 1 ? index / (stops.length - 1) : 0, stop];
+        if (!isCSSColor(color)) {
+            throw new TypeError(`Palette "${label}" has an invalid color: ${color}`);
+        }
+        return { position: Math.max(0, Math.min(1, Number(position) || 0)), color };
+    }).sort((a, b) => a.position - b.position);
+
+    const validBackground = isCSSColor(background)
+        || (isCSSColor(background?.inner) && isCSSColor(background?.outer));
+    if (!validBackground) {
+        throw new TypeError(`Palette "${label}" has an invalid background`);
+    }
+
+    return {
+        label: String(label),
+        stops: normalizedStops,
+        background: typeof background === 'string' ? background : { inner: background.inner, outer: background.outer },
+        wrap: !!wrap
+    };
+}
+
+export function registerPalette(name, definition) {
+    palettes.set(name, { name, ...normalizePalette({ label: name, ...definition }) });
+    paletteListeners.forEach(listener => listener(name));
+}
+
+// The original look: the full hue wheel at 80% saturation
+registerPalette('rainbow', {
+    label: 'Rainbow',
+    stops: Array.from({ length: 13 }, (_, i) => `hsl(${i * 30}, 80%, 50%)`),
+    wrap: true
+});
+
+registerPalette('sunset', {
+    label: 'Sunset',
+    stops: ['#2d0b59', '#8a1c7c', '#e8425a', '#f89b3d', '#ffe26b'],
+    background: { inner: '#1a0630', outer: '#000000' }
+});
+
+registerPalette('ocean', {
+    label: 'Ocean',
+    stops: ['#031a3a', '#0b5fa5', '#16b6d9', '#7ff0e6', '#e8ffff'],
+    background: { inner: '#00122a', outer: '#000000' }
+});
+
+registerPalette('aurora', {
+    label: 'Aurora',
+    stops: ['#0b3d2e', '#1fd18a', '#38e8ff', '#7a5cff', '#d34dff'],
+    background: '#000008'
+});
+
+registerPalette('ember', {
+    label: 'Ember',
+    stops: ['#1a0000', '#7a0c00', '#e83a00', '#ffb000', '#fff3c4']
+});
+
+registerPalette('mono', {
+    label: 'Mono',
+    stops: ['#1a2a4a', '#a8b2d1', '#ffffff']
+});
+
+// sRGB components (0-1) of a CSS color, as written, for the shader
+function cssColorToRGB(color) {
+    const rgb = { r: 0, g: 0, b: 0 };
+    return new THREE.Color(color).getRGB(rgb, THREE.SRGBColorSpace);
+}
+
+// The same components in a color uniform, stored as they are so the raw
+// shader materials output the CSS color unchanged
+function cssColorToUniform(color, target = new THREE.Color()) {
+    const { r, g, b } = cssColorToRGB(color);
+    return target.setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+}
+
+// Bakes the palette into a 1D lookup texture the particle shader samples
+function createPaletteTexture(palette) {
+    const data = new Uint8Array(PALETTE_TEXTURE_SIZE * 4);
+    const stops = palette.stops.map(stop => ({ position: stop.position, rgb: cssColorToRGB(stop.color) }));
+
+    for (let i = 0; i < PALETTE_TEXTURE_SIZE; i++) {
+        const t = i / (PALETTE_TEXTURE_SIZE - 1);
+        const next = stops.findIndex(stop => stop.position >= t);
+        const to = stops[next === -1 ? stops.length - 1 : next];
+        const from = stops[Math.max(0, (next === -1 ? stops.length : next) - 1)];
+        const span = to.position - from.position;
+        const mix = span > 0 ? (t - from.position) / span : 0;
+
+        data[i * 4] = Math.round((from.rgb.r + (to.rgb.r - from.rgb.r) * mix) * 255);
+        data[i * 4 + 1] = Math.round((from.rgb.g + (to.rgb.g - from.rgb.g) * mix) * 255);
+        data[i * 4 + 2] = Math.round((from.rgb.b + (to.rgb.b - from.rgb.b) * mix) * 255);
+        data[i * 4 + 3] = 255;
+    }
+
+    const texture = new THREE.DataTexture(data, PALETTE_TEXTURE_SIZE, 1, THREE.RGBAFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// A plain color, or a radial gradient drawn into a texture so recordings
+// include it
+function createBackground(background) {
+    if (typeof background === 'string') {
+        return new THREE.Color(background);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 512;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(256, 256, 0, 256, 256, 362);
+    gradient.addColorStop(0, background.inner);
+    gradient.addColorStop(1, background.outer);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 512, 512);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// File formats importModel() can turn into a formation
+const MODEL_FORMATS = ['obj', 'ply', 'gltf', 'glb', 'xyz', 'csv', 'txt'];
+
+// Plain point lists: one "x y z" or "x y z r g b" row per line, separated by
+// spaces, commas or semicolons. Header and comment rows are skipped and
+// colors may be given as 0-1 or 0-255.
+function parsePointList(text) {
+    const points = [];
+    const colors = [];
+    let maxChannel = 0;
+
+    text.split(/\r?\n/).forEach(line => {
+        const values = line.trim().split(/[\s,;]+/).map(Number);
+        if (values.length < 3 || values.slice(0, 3).some(Number.isNaN)) return;
+
+        points.push(values[0], values[1], values[2]);
+        if (values.length >= 6 && !values.slice(3, 6).some(Number.isNaN)) {
+            colors.push(values[3], values[4], values[5]);
+            maxChannel = Math.max(maxChannel, values[3], values[4], values[5]);
+        }
+    });
+
+    const positions = new Float32Array(points);
+    if (colors.length !== points.length) {
+        return { positions, colors: null };
+    }
+
+    const scale = maxChannel > 1 ? 1 / 255 : 1;
+    return { positions, colors: new Float32Array(colors.map(value => value * scale)) };
+}
+
+// Flattens every mesh and point cloud in a loaded object into world-space
+// triangles and loose points. Meshes without vertex colors fall back to their
+// material color; loader colors are linear, the particle shader works in sRGB.
+function collectModelGeometry(object) {
+    const triangles = { positions: [], colors: [] };
+    const points = { positions: [], colors: [] };
+    const vertex = new THREE.Vector3();
+    const color = new THREE.Color();
+    let hasVertexColors = false;
+
+    object.updateMatrixWorld(true);
+    object.traverse(child => {
+        if (!child.isMesh && !child.isPoints) return;
+
+        const target = child.isMesh ? triangles : points;
+        const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+
+        const positionAttribute = geometry.attributes.position;
+        const colorAttribute = geometry.attributes.color;
+        const material = Array.isArray(child.material) ? child.material[0] : child.material;
+        hasVertexColors = hasVertexColors || !!colorAttribute;
+
+        for (let i = 0; i < positionAttribute.count; i++) {
+            vertex.fromBufferAttribute(positionAttribute, i).applyMatrix4(child.matrixWorld);
+            target.positions.push(vertex.x, vertex.y, vertex.z);
+
+            if (colorAttribute) {
+                color.setRGB(colorAttribute.getX(i), colorAttribute.getY(i), colorAttribute.getZ(i));
+            } else if (material?.color) {
+                color.copy(material.color);
+            } else {
+                color.setRGB(1, 1, 1);
+            }
+            color.convertLinearToSRGB();
+            target.colors.push(color.r, color.g, color.b);
+        }
+    });
+
+    return {
+        triangles: {
+            positions: new Float32Array(triangles.positions),
+            colors: new Float32Array(triangles.colors)
+        },
+        points: {
+            positions: new Float32Array(points.positions),
+            colors: new Float32Array(points.colors)
+        },
+        hasVertexColors
+    };
+}
+
+// Builds a sample(rng) function returning surface points normalized to the
+// same roughly -1..1 space as the built-in formations
+function createPointSampler({ triangles, points }, hasColors) {
+    const box = new THREE.Box3();
+    const vertex = new THREE.Vector3();
+    [triangles.positions, points.positions].forEach(positions => {
+        for (let i = 0; i < positions.length; i += 3) {
+            box.expandByPoint(vertex.fromArray(positions, i));
+        }
+    });
+    if (box.isEmpty()) {
+        throw new Error('The model contains no points to sample');
+    }
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const scale = 2 / Math.max(size.x, size.y, size.z, 1e-6);
+
+    let surfaceSampler = null;
+    if (triangles.positions.length >= 9) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(triangles.positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(triangles.colors, 3));
+        surfaceSampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+    }
+
+    const position = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    return rng => {
+        if (surfaceSampler) {
+            surfaceSampler.setRandomGenerator(rng);
+            surfaceSampler.sample(position, undefined, color);
+        } else {
+            const index = Math.floor(rng() * (points.positions.length / 3)) * 3;
+            position.fromArray(points.positions, index);
+            color.fromArray(points.colors, index);
+        }
+
+        const sample = {
+            x: (position.x - center.x) * scale,
+            y: (position.y - center.y) * scale,
+            z: (position.z - center.z) * scale
+        };
+        if (hasColors) {
+            sample.r = color.r;
+            sample.g = color.g;
+            sample.b = color.b;
+        }
+        return sample;
+    };
+}
+
+// Loads an OBJ, PLY, glTF or point list from a File or URL. Loaders are only
+// fetched when a format is first used.
+async function loadModelSampler(source, { useColors = true } = {}) {
+    const isFile = typeof source !== 'string';
+    const url = isFile ? null : new URL(source, window.location.href);
+    const fileName = isFile ? source.name : url.pathname.split('/').pop();
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (!MODEL_FORMATS.includes(extension)) {
+        throw new Error(`Unsupported model format ".${extension}"`);
+    }
+
+    let data;
+    if (isFile) {
+        data = await source.arrayBuffer();
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+        data = await response.arrayBuffer();
+    }
+    const text = () => new TextDecoder().decode(data);
+
+    let geometry;
+    switch (extension) {
+        case 'obj': {
+            const { OBJLoader } = await import('three/addons/loaders/OBJLoader.js');
+            geometry = collectModelGeometry(new OBJLoader().parse(text()));
+            break;
+        }
+        case 'ply': {
+            const { PLYLoader } = await import('three/addons/loaders/PLYLoader.js');
+            const plyGeometry = new PLYLoader().parse(data);
+            // PLY files without faces are point clouds
+            const object = plyGeometry.index
+                ? new THREE.Mesh(plyGeometry)
+                : new THREE.Points(plyGeometry);
+            geometry = collectModelGeometry(object);
+            break;
+        }
+        case 'gltf':
+        case 'glb': {
+            const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+            const resourcePath = isFile ? '' : url.href.slice(0, url.href.lastIndexOf('/') + 1);
+            const gltf = await new GLTFLoader().parseAsync(data, resourcePath);
+            geometry = collectModelGeometry(gltf.scene);
+            break;
+        }
+        default: {
+            const { positions, colors } = parsePointList(text());
+            geometry = {
+                triangles: { positions: new Float32Array(0), colors: new Float32Array(0) },
+                points: { positions, colors: colors ?? new Float32Array(positions.length).fill(1) },
+                hasVertexColors: !!colors
+            };
+        }
+    }
+
+    return {
+        name: fileName.replace(/\.[^.]+$/, ''),
+        sample: createPointSampler(geometry, useColors && geometry.hasVertexColors)
+    };
+}
+
+// Image formats importImage() accepts
+const IMAGE_FORMATS = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp', 'svg'];
+
+// Longest side of the offscreen canvas that text and images are drawn into
+const CANVAS_SAMPLE_SIZE = 512;
+
+// Builds a sample(rng) function over the pixels of an offscreen canvas. Each
+// pixel is picked in proportion to weight(r, g, b, a) and mapped into the
+// same roughly -1..1 space as the formations, with a thin z jitter.
+function createCanvasSampler(canvas, { weight, useColors }) {
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const cumulative = new Float32Array(width * height);
+    let total = 0;
+
+    for (let i = 0; i < width * height; i++) {
+        total += weight(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], pixels[i * 4 + 3]);
+        cumulative[i] = total;
+    }
+    if (total === 0) {
+        throw new Error('Nothing visible to sample particles from');
+    }
+
+    const scale = 2 / Math.max(width, height);
+
+    return rng => {
+        // Binary search the cumulative weights for a pixel
+        const target = rng() * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] < target) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const x = low % width + rng();
+        const y = Math.floor(low / width) + rng();
+        const sample = {
+            x: (x - width / 2) * scale,
+            y: (height / 2 - y) * scale,
+            z: (rng() - 0.5) * 0.04
+        };
+        if (useColors) {
+            sample.r = pixels[low * 4] / 255;
+            sample.g = pixels[low * 4 + 1] / 255;
+            sample.b = pixels[low * 4 + 2] / 255;
+        }
+        return sample;
+    };
+}
+
+async function createTextSampler(text, { font = '800 160px Orbitron', color = null } = {}) {
+    await document.fonts.load(font, text);
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    const metrics = context.measureText(text);
+    const textHeight = metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent;
+    const padding = 8;
+
+    canvas.width = Math.ceil(metrics.width) + padding * 2;
+    canvas.height = Math.ceil(textHeight) + padding * 2;
+    context.font = font;
+    context.fillStyle = color || '#ffffff';
+    context.textBaseline = 'alphabetic';
+    context.fillText(text, padding, padding + metrics.actualBoundingBoxAscent);
+
+    return createCanvasSampler(canvas, {
+        weight: (r, g, b, a) => a,
+        useColors: !!color
+    });
+}
+
+// createImageBitmap() rejects SVG, so vector images are decoded by an <img>.
+// SVGs without a size of their own get the full sample size.
+async function decodeImage(blob, name = '') {
+    if (blob.type !== 'image/svg+xml' && !/\.svg([?#]|$)/i.test(name)) {
+        const bitmap = await createImageBitmap(blob);
+        return { image: bitmap, width: bitmap.width, height: bitmap.height, vector: false };
+    }
+
+    const url = URL.createObjectURL(blob.type === 'image/svg+xml' ? blob : new Blob([blob], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return {
+            image,
+            width: image.naturalWidth || CANVAS_SAMPLE_SIZE,
+            height: image.naturalHeight || CANVAS_SAMPLE_SIZE,
+            vector: true
+        };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Images are sampled by alpha times brightness so dark or transparent areas
+// stay empty, and particles take the pixel colors
+async function createImageSampler(source, { useColors = true, threshold = 0.1 } = {}) {
+    const blob = typeof source === 'string'
+        ? await fetch(new URL(source, window.location.href)).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${source}: ${response.status}`);
+            }
+            return response.blob();
+        })
+        : source;
+    const { image, width, height, vector } = await decodeImage(blob, typeof source === 'string' ? source : source.name);
+
+    // Vectors scale up to the sample size; bitmaps only ever shrink
+    const fit = CANVAS_SAMPLE_SIZE / Math.max(width, height);
+    const scale = vector ? fit : Math.min(1, fit);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close?.();
+
+    return createCanvasSampler(canvas, {
+        weight: (r, g, b, a) => {
+            const value = (a / 255) * (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+            return value > threshold ? value : 0;
+        },
+        useColors
+    });
+}
+
+// Gentle wave for flat text and image formations
+const FLAT_IDLE_MOTION = `
+    pos.z += sin(t + pos.x * 2.0) * 0.03;
+`;
+
+function buildIdleMotionChunk() {
+    return [...formations.values()]
+        .map(formation => `if (mode == ${formation.index}) {${formation.idleMotion}}`)
+        .join(' else ');
+}
+
+// The position attribute holds each particle's formation slot and aSource the
+// slot it is morphing away from; aColor/aSourceColor do the same for formation
+// colors (premultiplied, alpha 0 means hue cycling). Idle motion, the
+// EXPAND/COLLAPSE effects and hue cycling are all evaluated here from time
+// uniforms, so the CPU never touches the buffers while animating.
+const buildParticleVertexShader = () => `
+    attribute float size;
+    attribute vec3 aSource;
+    attribute vec4 aColor;
+    attribute vec4 aSourceColor;
+    attribute float aIndex;
+
+    uniform float uTime;
+    uniform int uMode;
+    uniform int uFromMode;
+    uniform float uMorphProgress;
+    uniform float uScale;
+    uniform float uSizeScale;
+
+    uniform float uAudioDisplacement;
+    uniform float uAudioSize;
+    uniform float uAudioHue;
+    uniform float uMotionScale;
+    uniform float uIdleAmplitude;
+    uniform vec3 uPointer;
+    uniform float uPointerStrength;
+    uniform float uPointerRadius;
+    uniform float uPointerFalloff;
+
+    uniform sampler2D uPalette;
+    uniform int uColorSource;
+    uniform float uColorCycleSpeed;
+    uniform float uPaletteWrap;
+
+    uniform float uFocusDistance;
+    uniform float uAperture;
+
+    ${buildEffectUniformsChunk()}
+
+    varying vec3 vColor;
+    varying float vBlur;
+
+    const float PI = 3.141592653589793;
+
+    vec3 idleMotion(vec3 pos, float t, int mode) {
+        ${buildIdleMotionChunk()}
+        return pos;
+    }
+
+    // Cheap per-cell random vector for effects
+    vec3 hash3(vec3 p) {
+        p = fract(p * vec3(0.1031, 0.1030, 0.0973));
+        p += dot(p, p.yxz + 33.33);
+        return fract((p.xxy + p.yxx) * p.zyx);
+    }
+
+    ${buildEffectFunctionsChunk()}
+
+    void main() {
+        // Travel from the previous slot and cross-fade the idle motion with it
+        vec3 home = mix(aSource, position, uMorphProgress);
+        vec3 pos = mix(
+            idleMotion(home, uTime, uFromMode),
+            idleMotion(home, uTime, uMode),
+            uMorphProgress
+        );
+        vec3 idlePos = pos;
+
+        // Running effects each add an offset, faded by their strength
+        vec3 effectOffset = vec3(0.0);
+        ${buildEffectCallsChunk()}
+        // Reduced motion keeps particles closer to their slots
+        pos = home + (pos - home) * uIdleAmplitude * uMotionScale;
+        pos += effectOffset * uMotionScale;
+
+        // Pointer force field: gather around (positive) or push away from
+        // (negative) the cursor, never pulling particles past it
+        vec3 toPointer = uPointer - pos;
+        float pointerDist = length(toPointer);
+        float influence = pow(max(1.0 - pointerDist / uPointerRadius, 0.0), uPointerFalloff);
+        float pull = influence * uPointerStrength * uPointerRadius;
+        pos += normalize(toPointer + 0.0001) * (pull > 0.0 ? min(pull, pointerDist * 0.9) : pull);
+
+        // Audio pushes particles outwards, each with its own phase
+        float audioPhase = sin(size * 1000.0 + uTime * 4.0) * 0.5 + 0.5;
+        pos += normalize(home + 0.0001) * uAudioDisplacement * audioPhase;
+
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+
+        // Place along the palette, picked by the color source, cycling over time
+        float colorValue;
+        if (uColorSource == 1) {
+            colorValue = pos.y * 0.5 + 0.5;
+        } else if (uColorSource == 2) {
+            colorValue = length(pos) / 1.5;
+        } else if (uColorSource == 3) {
+            // Idle motion over the last tenth of a second, plus how far
+            // effects and the pointer are pushing the particle
+            vec3 before = mix(
+                idleMotion(home, uTime - 0.1, uFromMode),
+                idleMotion(home, uTime - 0.1, uMode),
+                uMorphProgress
+            );
+            colorValue = length(idlePos - before) * 4.0 + length(pos - idlePos) * 0.5;
+        } else if (uColorSource == 4) {
+            colorValue = (-mvPosition.z - 0.5) / 4.0;
+        } else if (uColorSource == 5) {
+            colorValue = aIndex;
+        } else {
+            colorValue = atan(pos.y, pos.x) / (PI * 2.0) + 0.5;
+        }
+        float paletteT = colorValue + uTime * uColorCycleSpeed + uAudioHue;
+        paletteT = uPaletteWrap > 0.5 ? fract(paletteT) : 1.0 - abs(1.0 - mod(paletteT, 2.0));
+
+        vec4 formationColor = mix(aSourceColor, aColor, uMorphProgress);
+        vColor = texture2D(uPalette, vec2(paletteT, 0.5)).rgb * (1.0 - formationColor.a) + formationColor.rgb;
+
+        gl_PointSize = size * uSizeScale * (1.0 + uAudioSize) * (uScale / -mvPosition.z);
+
+        // Depth of field: points away from the focus distance grow, up to 4x
+        float blur = min(abs(-mvPosition.z - uFocusDistance) * uAperture, 3.0);
+        gl_PointSize *= 1.0 + blur;
+        vBlur = blur / 3.0;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    uniform float uOpacity;
+
+    varying vec3 vColor;
+    varying float vBlur;
+
+    void main() {
+        float alpha = uOpacity;
+
+        // Out-of-focus points become soft discs, dimmed by their grown area
+        if (vBlur > 0.0) {
+            float dist = length(gl_PointCoord - 0.5) * 2.0;
+            float grown = 1.0 + vBlur * 3.0;
+            alpha *= (1.0 - smoothstep(1.0 - vBlur, 1.0001, dist)) / (grown * grown);
+        }
+
+        gl_FragColor = vec4(vColor, alpha);
+    }
+`;
+
+// Extra particle layers drawn around the formation, each with its own
+// material and colors. They share this fragment shader: soft round points.
+const LAYER_FRAGMENT_SHADER = `
+    uniform float uOpacity;
+
+    varying vec4 vColor;
+
+    void main() {
+        float dist = length(gl_PointCoord - 0.5) * 2.0;
+        float alpha = vColor.a * uOpacity * (1.0 - smoothstep(0.4, 1.0, dist));
+        if (alpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor.rgb, alpha);
+    }
+`;
+
+const STARFIELD_VERTEX_SHADER = `
+    uniform float uTime;
+    uniform float uScale;
+    uniform float uSize;
+    uniform float uTwinkle;
+    uniform float uMotionScale;
+
+    attribute vec3 aColor;
+    attribute float aSize;
+    attribute float aPhase;
+
+    varying vec4 vColor;
+
+    void main() {
+        float wave = 0.5 + 0.5 * sin(uTime * (1.0 + aPhase) * 2.0 + aPhase * 6.2831853);
+        vColor = vec4(aColor, 1.0 - uTwinkle * uMotionScale * wave);
+
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = max(uSize * aSize * (uScale / -mvPosition.z), 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Background layer: stars scattered on a distant shell around the scene,
+// seeded like the formations. They stay put while the formation turns and
+// only twinkle.
+class Starfield {
+    constructor(animation, {
+        count = 1500,
+        colors = ['#ffffff', '#cfdcff', '#ffe9c4'],
+        size = 0.15,
+        opacity = 0.7,
+        twinkle = 0.4,
+        radius = [15, 40]
+    } = {}) {
+        this.animation = animation;
+        this.settings = { count, colors, size, opacity, twinkle, radius };
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uScale: { value: 1 },
+                uSize: { value: size },
+                uTwinkle: { value: twinkle },
+                uMotionScale: { value: 1 },
+                uOpacity: { value: opacity }
+            },
+            vertexShader: STARFIELD_VERTEX_SHADER,
+            fragmentShader: LAYER_FRAGMENT_SHADER,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            depthWrite: false
+        });
+        this.points = new THREE.Points(this.createGeometry(), this.material);
+        this.points.renderOrder = -1;
+    }
+
+    createGeometry() {
+        const { count, colors, radius: [inner, outer] } = this.settings;
+        const palette = colors.map(color => cssColorToRGB(color));
+        const positions = new Float32Array(count * 3);
+        const starColors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const phases = new Float32Array(count);
+
+        const rng = createRandom(this.animation.seed ^ hashString('starfield'));
+        for (let i = 0; i < count; i++) {
+            // Uniform over the sphere, spread through the shell's depth
+            const theta = rng() * Math.PI * 2;
+            const cosPhi = rng() * 2 - 1;
+            const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+            const r = inner + (outer - inner) * rng();
+            positions[i * 3] = r * sinPhi * Math.cos(theta);
+            positions[i * 3 + 1] = r * cosPhi;
+            positions[i * 3 + 2] = r * sinPhi * Math.sin(theta);
+
+            const color = palette[Math.floor(rng() * palette.length)];
+            starColors.set([color.r, color.g, color.b], i * 3);
+            // Mostly faint stars with a few bright ones
+            sizes[i] = 0.5 + Math.pow(rng(), 4) * 2;
+            phases[i] = rng();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aColor', new THREE.BufferAttribute(starColors, 3));
+        geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('aPhase', new THREE.BufferAttribute(phases, 1));
+        return geometry;
+    }
+
+    // Rebuilds the stars, e.g. for a new seed or after a lost WebGL context
+    build() {
+        const oldGeometry = this.points.geometry;
+        this.points.geometry = this.createGeometry();
+        oldGeometry.dispose();
+    }
+
+    setOptions(options) {
+        Object.assign(this.settings, options);
+        const uniforms = this.material.uniforms;
+        uniforms.uSize.value = this.settings.size;
+        uniforms.uOpacity.value = this.settings.opacity;
+        uniforms.uTwinkle.value = this.settings.twinkle;
+        if ('count' in options || 'colors' in options || 'radius' in options) {
+            this.settings.count = Math.max(0, Math.round(this.settings.count));
+            this.build();
+        }
+    }
+
+    update(time) {
+        this.material.uniforms.uTime.value = time;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+const EMITTER_VERTEX_SHADER = `
+    uniform float uTime;
+    uniform float uScale;
+    uniform float uSize;
+    uniform float uDrag;
+    uniform float uFadeIn;
+    uniform float uFadeOut;
+    uniform vec3 uGravity;
+    uniform vec3 uStartColor;
+    uniform vec3 uEndColor;
+
+    attribute vec3 aVelocity;
+    attribute vec2 aLife;
+    attribute float aSize;
+
+    varying vec4 vColor;
+
+    void main() {
+        // aLife is (birth time, lifetime); free slots have no lifetime
+        float age = uTime - aLife.x;
+        if (age < 0.0 || age >= aLife.y) {
+            vColor = vec4(0.0);
+            gl_PointSize = 0.0;
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+
+        // Drag slows the launch velocity exponentially; this is its integral
+        float travel = uDrag > 0.0 ? (1.0 - exp(-uDrag * age)) / uDrag : age;
+        vec3 pos = position + aVelocity * travel + 0.5 * uGravity * age * age;
+
+        float t = age / aLife.y;
+        float fade = min(age / max(uFadeIn, 0.0001), 1.0) * min((aLife.y - age) / max(uFadeOut, 0.0001), 1.0);
+        vColor = vec4(mix(uStartColor, uEndColor, t), fade);
+
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        gl_PointSize = uSize * aSize * (1.0 - 0.5 * t) * (uScale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// A layer of short-lived particles. emit() writes each new particle into a
+// fixed pool of buffer slots, taking free slots first and the oldest one when
+// the pool is full. From then on the shader moves the particle under gravity
+// and drag and fades it in and out on simulated time, so nothing is uploaded
+// between emits and pausing freezes the particles in place.
+class ParticleEmitter {
+    constructor(animation, {
+        capacity = 2000,
+        startColor = '#fff2c0',
+        endColor = '#ff5a1f',
+        opacity = 1,
+        size = 0.04,
+        life = [0.8, 1.6],
+        gravity = [0, -1.5, 0],
+        drag = 1.2,
+        fadeIn = 0.05,
+        fadeOut = 0.6,
+        blending = 'additive'
+    } = {}) {
+        this.animation = animation;
+        this.capacity = Math.max(1, Math.round(capacity));
+        this.settings = { startColor, endColor, opacity, size, life, gravity, drag, fadeIn, fadeOut, blending };
+        // When each slot's particle dies, in simulated seconds
+        this.deaths = new Float32Array(this.capacity);
+        this.cursor = 0;
+        this.fullUntil = 0;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3));
+        geometry.setAttribute('aVelocity', new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3));
+        geometry.setAttribute('aLife', new THREE.BufferAttribute(new Float32Array(this.capacity * 2), 2));
+        geometry.setAttribute('aSize', new THREE.BufferAttribute(new Float32Array(this.capacity), 1));
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uScale: { value: 1 },
+                uSize: { value: size },
+                uDrag: { value: drag },
+                uFadeIn: { value: fadeIn },
+                uFadeOut: { value: fadeOut },
+                uGravity: { value: new THREE.Vector3(...gravity) },
+                uStartColor: { value: cssColorToUniform(startColor) },
+                uEndColor: { value: cssColorToUniform(endColor) },
+                uOpacity: { value: opacity }
+            },
+            vertexShader: EMITTER_VERTEX_SHADER,
+            fragmentShader: LAYER_FRAGMENT_SHADER,
+            blending: blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, this.material);
+        // Particles fly off in the shader, so the CPU bounds are meaningless
+        this.points.frustumCulled = false;
+        this.points.renderOrder = 1;
+        this.particle = { position: new THREE.Vector3(), velocity: new THREE.Vector3(), life: 0, size: 1 };
+    }
+
+    setOptions(options) {
+        Object.assign(this.settings, options);
+        const { startColor, endColor, opacity, size, gravity, drag, fadeIn, fadeOut, blending } = this.settings;
+        const uniforms = this.material.uniforms;
+        cssColorToUniform(startColor, uniforms.uStartColor.value);
+        cssColorToUniform(endColor, uniforms.uEndColor.value);
+        uniforms.uOpacity.value = opacity;
+        uniforms.uSize.value = size;
+        uniforms.uGravity.value.set(...gravity);
+        uniforms.uDrag.value = drag;
+        uniforms.uFadeIn.value = fadeIn;
+        uniforms.uFadeOut.value = fadeOut;
+        this.material.blending = blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending;
+        this.material.needsUpdate = true;
+    }
+
+    // The next free slot after the last one written; when every particle is
+    // still alive, the one written longest ago
+    acquireSlot(now) {
+        if (now >= this.fullUntil) {
+            let earliestDeath = Infinity;
+            for (let n = 0; n < this.capacity; n++) {
+                const slot = (this.cursor + n) % this.capacity;
+                if (this.deaths[slot] <= now) {
+                    this.cursor = (slot + 1) % this.capacity;
+                    return slot;
+                }
+                earliestDeath = Math.min(earliestDeath, this.deaths[slot]);
+            }
+            // Nothing frees up before then, so skip the search until it does
+            this.fullUntil = earliestDeath;
+        }
+
+        const slot = this.cursor;
+        this.cursor = (slot + 1) % this.capacity;
+        return slot;
+    }
+
+    // Spawns count particles. spawn(particle, i) sets particle.position and
+    // particle.velocity (Vector3s, in world units per second) and may change
+    // particle.life (seconds, random within settings.life by default) and
+    // particle.size (a factor on settings.size).
+    emit(count, spawn) {
+        const now = this.animation.simulation.time;
+        const attributes = this.points.geometry.attributes;
+        const [minLife, maxLife] = this.settings.life;
+        const particle = this.particle;
+
+        for (let i = 0; i < count; i++) {
+            particle.position.set(0, 0, 0);
+            particle.velocity.set(0, 0, 0);
+            particle.life = minLife + (maxLife - minLife) * Math.random();
+            particle.size = 0.5 + Math.random();
+            spawn(particle, i);
+
+            const slot = this.acquireSlot(now);
+            particle.position.toArray(attributes.position.array, slot * 3);
+            particle.velocity.toArray(attributes.aVelocity.array, slot * 3);
+            attributes.aLife.array[slot * 2] = now;
+            attributes.aLife.array[slot * 2 + 1] = particle.life;
+            attributes.aSize.array[slot] = particle.size;
+            this.deaths[slot] = now + particle.life;
+        }
+
+        attributes.position.needsUpdate = true;
+        attributes.aVelocity.needsUpdate = true;
+        attributes.aLife.needsUpdate = true;
+        attributes.aSize.needsUpdate = true;
+    }
+
+    countAlive() {
+        const now = this.animation.simulation.time;
+        return this.deaths.reduce((alive, death) => alive + (death > now ? 1 : 0), 0);
+    }
+
+    // Frees every slot at once
+    clear() {
+        this.deaths.fill(0);
+        this.fullUntil = 0;
+        const life = this.points.geometry.attributes.aLife;
+        life.array.fill(0);
+        life.needsUpdate = true;
+    }
+
+    update(time) {
+        this.material.uniforms.uTime.value = time;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+// Semitone offsets of the scales the music engine quantizes to
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    majorPentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10]
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Each mode's voice grows out of its original drone pair: E4+G4 sine for the
+// sphere, C4+E4 square for the cube and G4+B4 sawtooth for the tornado. The
+// second note becomes a harmony a diatonic third (two scale degrees) above
+// the melody, at the same relative gain. Patterns are scale degrees played
+// from the note under the mouse.
+const MODE_VOICES = {
+    sphere: {
+        type: 'sine',
+        gain: 0.1,
+        harmony: { degrees: 2, gain: 0.05 },
+        octave: 4,
+        pattern: [0, 2, 4, 2],
+        stepsPerBeat: 1,
+        envelope: { attack: 0.08, decay: 0.4, sustain: 0.6, release: 1.2 }
+    },
+    cube: {
+        type: 'square',
+        gain: 0.08,
+        harmony: { degrees: 2, gain: 0.04 },
+        octave: 4,
+        pattern: [0, 4, 0, 4, 2, 4],
+        stepsPerBeat: 2,
+        envelope: { attack: 0.005, decay: 0.15, sustain: 0.3, release: 0.2 }
+    },
+    tornado: {
+        type: 'sawtooth',
+        gain: 0.08,
+        harmony: { degrees: 2, gain: 0.04 },
+        octave: 4,
+        pattern: [0, 1, 2, 3, 4, 3, 2, 1],
+        stepsPerBeat: 4,
+        envelope: { attack: 0.01, decay: 0.1, sustain: 0.4, release: 0.15 }
+    }
+};
+
+const midiToFrequency = note => 440 * Math.pow(2, (note - 69) / 12);
 
 class AudioSystem {
     constructor() {
         this.initialized = false;
         this.context = null;
-        this.sounds = {};
         this.oscillators = {};
         this.gainNodes = {};
+        this.volume = 0.15;
+        this.reverbTime = 2;
+        this.zoomLevel = 2.5;
+
+        // Music settings
+        this.key = 'A';
+        this.scale = 'minorPentatonic';
+        this.tempo = 96;
+        this.mode = 'sphere';
+
+        // Scale degree picked by the mouse and filter brightness
+        this.baseDegree = 0;
+        this.brightness = 0.5;
+
+        // Lookahead scheduler state
+        this.scheduleAheadTime = 0.1;
+        this.schedulerInterval = null;
+        this.nextNoteTime = 0;
+        this.step = 0;
+    }
+
+    async init() {
+        if (this.initialized) return;
+        
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            
+            // Create main gain node
+            this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.volume;
+            this.masterGain.connect(this.context.destination);
+
+            await this.setupSounds();
+            this.initialized = true;
+
+            this.nextNoteTime = this.context.currentTime;
+            this.schedulerInterval = setInterval(() => this.scheduleNotes(), 25);
+            console.log('Audio system initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize audio system:', error);
+        }
+    }
+
+    async setupSounds() {
+        // Create reverb effect
+        const reverbNode = await this.createReverb();
+        reverbNode.connect(this.masterGain);
+        this.reverb = reverbNode;
+        
+        // Ambient pad sound on the key's root
+        const pad = this.context.createOscillator();
+        const padGain = this.context.createGain();
+        pad.type = 'sine';
+        pad.frequency.value = midiToFrequency(this.noteToMidi(0, 3));
+        padGain.gain.value = 0.05;
+        pad.connect(padGain);
+        padGain.connect(reverbNode);
+        this.oscillators.pad = pad;
+        this.gainNodes.pad = padGain;
+        pad.start();
+
+        // Notes play into a shared bus whose filter follows the mouse
+        this.voiceFilter = this.context.createBiquadFilter();
+        this.voiceFilter.type = 'lowpass';
+        this.voiceFilter.Q.value = 1;
+        this.voiceFilter.frequency.value = this.brightnessToCutoff(this.brightness);
+        this.gainNodes.voice = this.context.createGain();
+        this.gainNodes.voice.connect(this.voiceFilter);
+        this.voiceFilter.connect(reverbNode);
+    }
+
+    async createReverb() {
+        const convolver = this.context.createConvolver();
+        convolver.buffer = this.createImpulse(this.reverbTime);
+        return convolver;
+    }
+
+    // Noise decaying over the reverb time
+    createImpulse(reverbTime) {
+        const sampleRate = this.context.sampleRate;
+        const length = Math.round(sampleRate * reverbTime);
+        const impulse = this.context.createBuffer(2, length, sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const channelData = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                channelData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (sampleRate * reverbTime * 0.05));
+            }
+        }
+        return impulse;
+    }
+
+    setReverbTime(reverbTime) {
+        this.reverbTime = reverbTime;
+        if (this.reverb) {
+            this.reverb.buffer = this.createImpulse(reverbTime);
+        }
+    }
+
+    // Overall level, before the zoom attenuation
+    setVolume(volume) {
+        this.volume = volume;
+        this.updateWithZoom(this.zoomLevel);
+    }
+
+    // Maps a scale degree (may exceed one octave) to a MIDI note in the key
+    noteToMidi(degree, octave) {
+        const steps = SCALES[this.scale];
+        const octaveShift = Math.floor(degree / steps.length);
+        const step = steps[((degree % steps.length) + steps.length) % steps.length];
+        return 12 * (octave + 1 + octaveShift) + NOTE_NAMES.indexOf(this.key) + step;
+    }
+
+    brightnessToCutoff(brightness) {
+        return 400 * Math.pow(15, brightness); // 400Hz - 6kHz
+    }
+
+    // Queues every pattern step that falls inside the lookahead window
+    scheduleNotes() {
+        if (!this.initialized || this.context.state !== 'running') return;
+
+        const voice = MODE_VOICES[this.mode] || MODE_VOICES.sphere;
+        const secondsPerStep = 60 / this.tempo / voice.stepsPerBeat;
+        const now = this.context.currentTime;
+
+        // Don't replay a backlog of notes after being suspended
+        if (this.nextNoteTime < now) {
+            this.nextNoteTime = now;
+        }
+
+        while (this.nextNoteTime < now + this.scheduleAheadTime) {
+            const degree = this.baseDegree + voice.pattern[this.step % voice.pattern.length];
+            this.playNote(voice, degree, this.nextNoteTime, secondsPerStep * 0.9);
+            this.nextNoteTime += secondsPerStep;
+            this.step++;
+        }
+    }
+
+    playNote(voice, degree, time, duration) {
+        const { attack, decay, sustain, release } = voice.envelope;
+        const partials = [
+            { degree, gain: voice.gain },
+            { degree: degree + voice.harmony.degrees, gain: voice.harmony.gain }
+        ];
+
+        partials.forEach(partial => {
+            const osc = this.context.createOscillator();
+            const gain = this.context.createGain();
+
+            osc.type = voice.type;
+            osc.frequency.value = midiToFrequency(this.noteToMidi(partial.degree, voice.octave));
+
+            // ADSR envelope
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(partial.gain, time + attack);
+            gain.gain.setTargetAtTime(partial.gain * sustain, time + attack, decay / 3);
+            gain.gain.setTargetAtTime(0, time + Math.max(duration, attack), release / 3);
+
+            osc.connect(gain);
+            gain.connect(this.gainNodes.voice);
+            osc.start(time);
+            osc.stop(time + Math.max(duration, attack) + release);
+        });
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.step = 0;
+    }
+
+    setKey(key) {
+        if (!NOTE_NAMES.includes(key)) {
+            console.warn(`Unknown key "${key}"`);
+            return;
+        }
+        this.key = key;
+        if (this.initialized) {
+            this.oscillators.pad.frequency.setTargetAtTime(
+                midiToFrequency(this.noteToMidi(0, 3)), this.context.currentTime, 0.5);
+        }
+    }
+
+    setScale(scale) {
+        if (!SCALES[scale]) {
+            console.warn(`Unknown scale "${scale}"`);
+            return;
+        }
+        this.scale = scale;
+    }
+
+    setTempo(bpm) {
+        this.tempo = Math.max(20, Math.min(300, bpm));
+    }
+
+    // Horizontal position picks the note (quantized to the scale across two
+    // octaves), vertical position opens the filter
+    updateWithMovement(x, y) {
+        const degrees = SCALES[this.scale].length * 2;
+        this.baseDegree = Math.min(degrees - 1, Math.floor((x + 1) / 2 * degrees));
+        this.brightness = (y + 1) / 2;
+
+        if (!this.initialized) return;
+        this.voiceFilter.frequency.setTargetAtTime(
+            this.brightnessToCutoff(this.brightness), this.context.currentTime, 0.1);
+    }
+
+    updateWithZoom(zoomLevel) {
+        this.zoomLevel = zoomLevel;
+        if (!this.initialized) return;
+        
+        const normalizedZoom = 1 - (zoomLevel - 1) / 4;
+        this.masterGain.gain.setTargetAtTime(this.volume * normalizedZoom, this.context.currentTime, 0.1);
+    }
+
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+            return true;
+        }
+        return false;
+    }
+
+    async resume() {
+        if (!this.initialized) {
+            await this.init();
+        }
+        if (this.context && this.context.state === 'suspended') {
+            await this.context.resume();
+            return true;
+        }
+        return false;
+    }
+
+    // Stops the scheduler and closes the context for good
+    dispose() {
+        clearInterval(this.schedulerInterval);
+        this.schedulerInterval = null;
+        this.context?.close();
+        this.initialized = false;
+    }
+}
+
+// Audio formats that can drive the audio-reactive mode
+const AUDIO_FORMATS = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac', 'webm'];
+
+// Frequency ranges (Hz) for the analysed bands
+const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 16000]
+};
+
+// How strongly each band drives each visual parameter
+const DEFAULT_AUDIO_MAPPINGS = {
+    displacement: { bass: 0.25, mid: 0, treble: 0.05 },
+    size: { bass: 0.5, mid: 1, treble: 0 },
+    hue: { bass: 0, mid: 0.1, treble: 0.3 },
+    cameraPulse: { bass: 0.12, mid: 0, treble: 0 }
+};
+
+class AudioAnalyser {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.source = null;
+        this.stream = null;
+        this.element = null;
+        this.active = false;
+
+        this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: false };
+
+        // Beat detection compares bass energy against its recent average
+        this.beatHistory = [];
+        this.beatHistorySize = 43; // ~0.7s at 60fps
+        this.beatSensitivity = 1.4;
+        this.beatCooldown = 0.25;
+        this.lastBeatTime = -Infinity;
+    }
+
+    async init() {
+        if (this.context) return;
+
+        this.context = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.8;
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+
+    async useMicrophone() {
+        await this.init();
+        this.stop();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        // The microphone is only analysed, never played back
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        await this.context.resume();
+        this.active = true;
+    }
+
+    // Plays a File, Blob or URL on a loop and analyses it
+    async useFile(source) {
+        await this.init();
+        this.stop();
+
+        this.element = new Audio(typeof source === 'string' ? source : URL.createObjectURL(source));
+        this.element.crossOrigin = 'anonymous';
+        this.element.loop = true;
+        this.source = this.context.createMediaElementSource(this.element);
+        this.source.connect(this.analyser);
+        this.source.connect(this.context.destination);
+        await this.context.resume();
+        await this.element.play();
+        this.active = true;
+    }
+
+    stop() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.element) {
+            this.element.pause();
+            if (this.element.src.startsWith('blob:')) {
+                URL.revokeObjectURL(this.element.src);
+            }
+            this.element = null;
+        }
+
+        this.active = false;
+        this.beatHistory = [];
+        this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: false };
+    }
+
+    // Holds file playback and analysis, e.g. while the tab is hidden
+    suspend() {
+        this.resumeElement = !!this.element && !this.element.paused;
+        this.element?.pause();
+        this.context?.suspend().catch(() => {});
+    }
+
+    resume() {
+        this.context?.resume().catch(() => {});
+        if (this.resumeElement) {
+            this.element?.play().catch(() => {});
+            this.resumeElement = false;
+        }
+    }
+
+    bandEnergy([low, high]) {
+        const binWidth = this.context.sampleRate / this.analyser.fftSize;
+        const start = Math.max(0, Math.floor(low / binWidth));
+        const end = Math.min(this.frequencyData.length - 1, Math.ceil(high / binWidth));
+
+        let sum = 0;
+        for (let i = start; i <= end; i++) {
+            sum += this.frequencyData[i];
+        }
+        return sum / ((end - start + 1) * 255);
+    }
+
+    // Returns normalized band levels (0-1) and whether a beat landed this frame
+    update(elapsedTime) {
+        if (!this.active) return this.levels;
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        const bass = this.bandEnergy(AUDIO_BANDS.bass);
+        const mid = this.bandEnergy(AUDIO_BANDS.mid);
+        const treble = this.bandEnergy(AUDIO_BANDS.treble);
+
+        const average = this.beatHistory.length
+            ? this.beatHistory.reduce((sum, value) => sum + value, 0) / this.beatHistory.length
+            : bass;
+        const beat = this.beatHistory.length >= this.beatHistorySize / 2
+            && bass > average * this.beatSensitivity
+            && bass > 0.1
+            && elapsedTime - this.lastBeatTime > this.beatCooldown;
+
+        this.beatHistory.push(bass);
+        if (this.beatHistory.length > this.beatHistorySize) {
+            this.beatHistory.shift();
+        }
+        if (beat) {
+            this.lastBeatTime = elapsedTime;
+        }
+
+        this.levels = { bass, mid, treble, level: (bass + mid + treble) / 3, beat };
+        return this.levels;
+    }
+
+    dispose() {
+        this.stop();
+        this.context?.close();
+        this.context = null;
+    }
+}
+
+// Output sizes offered by the recorder; null follows the window
+const RECORDING_RESOLUTIONS = {
+    window: null,
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '4k': { width: 3840, height: 2160 }
+};
+
+// Simulated time, kept apart from the DOM and the renderer so it can be
+// driven headlessly. Systems added with add() are called as system(dt, time)
+// on every tick. Real frame times are scaled by timeScale and capped at
+// maxDelta, so a stalled tab doesn't jump ahead; nothing moves while paused
+// except for explicit steps.
+export class Simulation {
+    constructor({ timeScale = 1, maxDelta = 0.1, stepSize = 1 / 60 } = {}) {
+        this.time = 0;
+        this.timeScale = timeScale;
+        this.maxDelta = maxDelta;
+        this.stepSize = stepSize;
+        this.paused = false;
+        this.systems = [];
+    }
+
+    add(system) {
+        this.systems.push(system);
+        return () => {
+            this.systems = this.systems.filter(entry => entry !== system);
+        };
+    }
+
+    // Advances by a real-time delta in seconds; returns the simulated delta
+    advance(realDelta) {
+        if (this.paused) return 0;
+        return this.tick(Math.min(Math.max(realDelta, 0), this.maxDelta) * this.timeScale);
+    }
+
+    // Advances by one frame (or the given seconds of real time), even while
+    // paused
+    step(realDelta = this.stepSize) {
+        return this.tick(realDelta * this.timeScale);
+    }
+
+    tick(dt) {
+        this.time += dt;
+        this.systems.forEach(system => system(dt, this.time));
+        return dt;
+    }
+
+    setTimeScale(timeScale) {
+        // NaN would stop simulated time for good
+        if (!Number.isFinite(timeScale)) throw new TypeError('Time scale must be a finite number');
+        this.timeScale = Math.max(0, timeScale);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+}
+
+// What each timeline event does. Mode changes and EXPAND/COLLAPSE go through
+// the same entry points as the buttons.
+const TIMELINE_ACTIONS = {
+    mode: (animation, { value }) => animation.setMode(value),
+    expand: animation => animation.triggerExplosion(),
+    collapse: animation => animation.triggerImplosion(),
+    effect: (animation, { value }) => animation.playEffect(value),
+    zoom: (animation, event, player) => player.moveZoom(event.value, event.duration ?? 0),
+    camera: (animation, { value, duration = 1.5 }) => animation.applyCameraPreset(value, duration),
+    palette: (animation, { value }) => animation.setPalette(value),
+    sound: (animation, { value }) => {
+        if (!!value !== animation.isSoundOn()) animation.toggleSound();
+    },
+    audio: (animation, { value }) => animation.useAudioFile(value).catch(() => {})
+};
+
+// Checks a timeline and puts every event on the seconds scale, sorted. Events
+// give either time (seconds) or beat (needs bpm). duration (seconds) or beats
+// sets the length; looping timelines need one, others end after the last event.
+function normalizeTimeline({ name = 'timeline', bpm = null, loop = false, duration = null, beats = null, events } = {}) {
+    if (!Array.isArray(events)) {
+        throw new TypeError(`Timeline "${name}" needs an events array`);
+    }
+
+    const secondsPerBeat = bpm > 0 ? 60 / bpm : null;
+    const toSeconds = (seconds, beat, what) => {
+        if (Number.isFinite(seconds)) return Math.max(0, seconds);
+        if (Number.isFinite(beat) && secondsPerBeat) return Math.max(0, beat * secondsPerBeat);
+        throw new TypeError(`Timeline "${name}": ${what} needs a time, or a beat and a bpm`);
+    };
+
+    const normalized = events.map((event, index) => {
+        if (!TIMELINE_ACTIONS[event.action]) {
+            throw new TypeError(`Timeline "${name}": unknown action "${event.action}" in event ${index}`);
+        }
+        return { ...event, time: toSeconds(event.time, event.beat, `event ${index}`) };
+    }).sort((a, b) => a.time - b.time);
+
+    const length = duration !== null || beats !== null
+        ? toSeconds(duration, beats, 'the duration')
+        : Math.max(0, ...normalized.map(event => event.time + (event.duration ?? 0)));
+    if (loop && !(length > 0)) {
+        throw new TypeError(`Timeline "${name}" loops, so it needs a duration`);
+    }
+
+    return { name, loop, duration: length, events: normalized };
+}
+
+// Shown by attract mode unless another timeline is given: a tour of the
+// formations with effects and palette changes, 16 bars at 96 bpm
+const DEFAULT_SHOW = {
+    name: 'show',
+    bpm: 96,
+    beats: 64,
+    loop: true,
+    events: [
+        { beat: 0, action: 'mode', value: 'sphere' },
+        { beat: 0, action: 'zoom', value: 2.5, duration: 2 },
+        { beat: 6, action: 'effect', value: 'shockwave' },
+        { beat: 8, action: 'mode', value: 'galaxy' },
+        { beat: 8, action: 'palette', value: 'aurora' },
+        { beat: 14, action: 'effect', value: 'swirl' },
+        { beat: 20, action: 'zoom', value: 3.2, duration: 3 },
+        { beat: 22, action: 'expand' },
+        { beat: 28, action: 'mode', value: 'torus' },
+        { beat: 28, action: 'palette', value: 'sunset' },
+        { beat: 34, action: 'zoom', value: 1.8, duration: 3 },
+        { beat: 38, action: 'collapse' },
+        { beat: 44, action: 'mode', value: 'helix' },
+        { beat: 44, action: 'palette', value: 'ocean' },
+        { beat: 50, action: 'effect', value: 'shatter' },
+        { beat: 54, action: 'mode', value: 'tornado' },
+        { beat: 54, action: 'palette', value: 'ember' },
+        { beat: 56, action: 'zoom', value: 2.5, duration: 3 },
+        { beat: 60, action: 'palette', value: 'rainbow' }
+    ]
+};
+
+// Runs a timeline on simulated time, so it follows pause and the time scale.
+// Events fire once the playhead passes them; looping timelines start over
+// after their duration.
+class TimelinePlayer {
+    constructor(animation) {
+        this.animation = animation;
+        this.timeline = null;
+        this.time = 0;
+        this.nextEvent = 0;
+        this.zoomMove = null;
+    }
+
+    get playing() {
+        return !!this.timeline;
+    }
+
+    play(timeline) {
+        this.timeline = normalizeTimeline(timeline);
+        this.time = 0;
+        this.nextEvent = 0;
+        this.zoomMove = null;
+    }
+
+    stop() {
+        this.timeline = null;
+        this.zoomMove = null;
+    }
+
+    // Eases the zoom to a new level over the given seconds
+    moveZoom(zoom, duration) {
+        if (!(duration > 0)) {
+            this.zoomMove = null;
+            this.animation.setZoom(zoom);
+            return;
+        }
+        this.zoomMove = { from: this.animation.zoomLevel, to: zoom, duration, elapsed: 0 };
+    }
+
+    update(dt) {
+        if (!this.timeline) return;
+
+        if (this.zoomMove) {
+            const move = this.zoomMove;
+            move.elapsed += dt;
+            const progress = Math.min(move.elapsed / move.duration, 1);
+            const zoom = move.from + (move.to - move.from) * easeInOutCubic(progress);
+            this.animation.updateZoom(this.animation.cameraRig.setDistance(zoom));
+            if (progress >= 1) this.zoomMove = null;
+        }
+
+        this.time += dt;
+        while (this.timeline) {
+            const { events, duration, loop } = this.timeline;
+            const end = Math.min(this.time, duration);
+            while (this.timeline && this.nextEvent < events.length && events[this.nextEvent].time <= end) {
+                this.fire(events[this.nextEvent++]);
+            }
+            if (!this.timeline || this.time < duration) break;
+
+            if (!loop) {
+                const { name } = this.timeline;
+                this.stop();
+                this.animation.emit('timelineend', { name });
+                break;
+            }
+            this.time -= duration;
+            this.nextEvent = 0;
+        }
+    }
+
+    fire(event) {
+        try {
+            TIMELINE_ACTIONS[event.action](this.animation, event, this);
+        } catch (error) {
+            console.error(`Error in timeline event "${event.action}":`, error);
+        }
+    }
+}
+
+// Starts a timeline after idleTimeout seconds without input and stops it on
+// the next pointer, wheel or key input
+class AttractMode {
+    constructor(animation, { idleTimeout, timeline = DEFAULT_SHOW }, signal) {
+        this.animation = animation;
+        this.idleTimeout = idleTimeout;
+        this.timeline = timeline;
+        this.loading = null;
+        this.active = false;
+        this.runs = 0;
+        this.lastInput = performance.now();
+
+        const onInput = () => this.onInput();
+        ['pointerdown', 'pointermove', 'wheel'].forEach(type => {
+            animation.container.addEventListener(type, onInput, { passive: true, signal });
+        });
+        window.addEventListener('keydown', onInput, { signal });
+    }
+
+    onInput() {
+        this.lastInput = performance.now();
+        if (this.active) this.stop();
+    }
+
+    // Called every frame with real time, so a paused scene still counts as idle
+    update() {
+        if (this.active || !(this.idleTimeout > 0)) return;
+        const recorder = this.animation.recorder;
+        if (recorder.recording || recorder.exporting) return;
+
+        if (performance.now() - this.lastInput >= this.idleTimeout * 1000) {
+            this.start();
+        }
+    }
+
+    start() {
+        this.active = true;
+        // A visitor arriving while the show loads ends this run before it plays
+        const run = ++this.runs;
+        this.animation.setPaused(false);
+        this.loadShow().then(timeline => {
+            if (run !== this.runs || !this.active) return;
+            // playTimeline() reports its own errors
+            this.animation.playTimeline(timeline).catch(() => {});
+        });
+        this.animation.emit('attract', { active: true });
+    }
+
+    // A timeline URL is fetched once and kept. If it can't be loaded, the
+    // built-in show plays instead of retrying on every start.
+    loadShow() {
+        if (typeof this.timeline !== 'string') return Promise.resolve(this.timeline);
+        this.loading ??= this.animation.loadTimeline(this.timeline)
+            .then(timeline => {
+                normalizeTimeline(timeline);
+                return timeline;
+            })
+            .catch(error => {
+                console.warn(`Attract mode could not load "${this.timeline}", playing the built-in show:`, error);
+                return DEFAULT_SHOW;
+            })
+            .then(timeline => {
+                this.timeline = timeline;
+                this.loading = null;
+                return timeline;
+            });
+        return this.loading;
+    }
+
+    stop() {
+        this.active = false;
+        this.runs++;
+        this.animation.stopTimeline();
+        this.animation.emit('attract', { active: false });
+    }
+}
+
+// Commands a remote controller can send (see remote.js for the message
+// format). They go through the same entry points as the buttons and keys.
+const REMOTE_COMMANDS = {
+    setMode: (animation, mode) => {
+        if (!animation.hasMode(mode)) throw new Error(`Unknown mode "${mode}"`);
+        return animation.setMode(mode);
+    },
+    setInteractionStrength: (animation, strength) => {
+        if (!Number.isFinite(strength)) throw new Error('Interaction strength must be a number');
+        animation.setInteractionStrength(Math.min(Math.max(strength, 0), 1));
+    },
+    setZoom: (animation, zoom) => {
+        if (!Number.isFinite(zoom)) throw new Error('Zoom must be a number');
+        animation.cameraRig.stop();
+        animation.setZoom(zoom);
+    },
+    zoomBy: (animation, amount) => {
+        if (!Number.isFinite(amount)) throw new Error('Zoom amount must be a number');
+        animation.cameraRig.stop();
+        animation.setZoom(animation.zoomLevel + amount);
+    },
+    triggerExplosion: animation => animation.triggerExplosion(),
+    triggerImplosion: animation => animation.triggerImplosion(),
+    playEffect: (animation, name) => animation.playEffect(name),
+    toggleSound: animation => {
+        if (!animation.options.audio) throw new Error('Sound is turned off for this display');
+        return animation.toggleSound();
+    },
+    loadPreset: (animation, name) => {
+        if (!animation.loadPreset(name)) throw new Error(`Unknown preset "${name}"`);
+    },
+    setPalette: (animation, name) => {
+        if (!palettes.has(name)) throw new Error(`Unknown palette "${name}"`);
+        animation.setPalette(name);
+    },
+    setPaused: (animation, paused) => animation.setPaused(!!paused),
+    setTimeScale: (animation, timeScale) => {
+        if (!Number.isFinite(timeScale)) throw new Error('Time scale must be a number');
+        animation.setTimeScale(Math.min(Math.max(timeScale, 0), 4));
+    },
+    applyCameraPreset: (animation, name, duration = 1.5) => {
+        if (!animation.getCameraPresets()[name]) throw new Error(`Unknown camera preset "${name}"`);
+        if (!Number.isFinite(duration)) throw new Error('Duration must be a number');
+        return animation.applyCameraPreset(name, Math.min(Math.max(duration, 0), 10));
+    },
+    setParameter: (animation, key, value) => animation.setParameter(key, value),
+    // Only timelines served next to the display, not arbitrary URLs or objects
+    playTimeline: (animation, source) => {
+        if (typeof source !== 'string' || new URL(source, window.location.href).origin !== window.location.origin) {
+            throw new Error('Timelines must be URLs on the same origin as the display');
+        }
+        return animation.playTimeline(source);
+    },
+    stopTimeline: animation => animation.stopTimeline()
+};
+
+// Lets another tab or device drive the animation. Runs incoming commands,
+// answers each with a result, and broadcasts the scene's state whenever it
+// changes so controllers stay in sync.
+class RemoteControl {
+    constructor(animation, { channel, url } = {}) {
+        this.animation = animation;
+        this.displayId = Math.random().toString(36).slice(2, 10);
+        this.stateTimeout = null;
+        this.connection = new RemoteConnection({ channel, url });
+        this.connection.onMessage(message => this.onMessage(message));
+        this.connection.onStatus(status => {
+            if (status === 'open') this.sendState();
+        });
+
+        // Several changes in a row go out as one state message
+        const scheduleState = () => {
+            clearTimeout(this.stateTimeout);
+            this.stateTimeout = setTimeout(() => this.sendState(), 100);
+        };
+        this.unsubscribe = ['statechange', 'effectstart', 'effectend', 'timechange']
+            .map(type => animation.on(type, scheduleState));
+
+        this.sendState();
+    }
+
+    async onMessage(message) {
+        if (message.type === 'hello' || message.type === 'getState') {
+            this.sendState();
+            return;
+        }
+        if (message.type !== 'command') return;
+
+        const command = REMOTE_COMMANDS[message.command];
+        const args = Array.isArray(message.args) ? message.args : [];
+        try {
+            if (!command) throw new Error(`Unknown command "${message.command}"`);
+            const value = await command(this.animation, ...args);
+            this.connection.send({ type: 'result', replyTo: message.id, display: this.displayId, ok: true, value });
+        } catch (error) {
+            console.warn(`Remote command "${message.command}" failed:`, error);
+            this.connection.send({
+                type: 'result', replyTo: message.id, display: this.displayId, ok: false, error: error.message
+            });
+        }
+    }
+
+    getState() {
+        const animation = this.animation;
+        return {
+            ...animation.getState(),
+            modes: animation.getModes().map(name => ({ name, label: formations.get(name).label })),
+            palettes: [...palettes.keys()],
+            presets: Object.keys(animation.getPresets()),
+            cameraPresets: Object.keys(animation.getCameraPresets()),
+            soundAvailable: !!animation.options.audio,
+            paused: animation.simulation.paused,
+            timeScale: animation.simulation.timeScale,
+            activeEffects: [...animation.effects.active.keys()]
+        };
+    }
+
+    sendState() {
+        if (this.animation.destroyed) return;
+        this.connection.send({ type: 'state', display: this.displayId, state: this.getState() });
+    }
+
+    close() {
+        clearTimeout(this.stateTimeout);
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.connection.close();
+    }
+}
+
+const downloadBlob = (blob, fileName) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+class SceneRecorder {
+    constructor(animation) {
+        this.animation = animation;
+        this.mediaRecorder = null;
+        this.audioDestination = null;
+        this.exporting = false;
+    }
+
+    get recording() {
+        return !!this.mediaRecorder;
+    }
+
+    // Records the canvas (plus the synthesized audio when sound is on) to WebM
+    start({ resolution = 'window', fps = 60, videoBitsPerSecond = 12000000 } = {}) {
+        if (this.recording || this.exporting) return;
+
+        this.applyResolution(resolution);
+
+        const stream = this.animation.renderer.domElement.captureStream(fps);
+        const audioSystem = this.animation.audioSystem;
+        if (audioSystem.initialized) {
+            this.audioDestination = audioSystem.context.createMediaStreamDestination();
+            audioSystem.masterGain.connect(this.audioDestination);
+            this.audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+
+        const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const chunks = [];
+
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+        this.mediaRecorder.ondataavailable = event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        this.mediaRecorder.onstop = () => {
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), `particles-${Date.now()}.webm`);
+        };
+        this.mediaRecorder.start(1000);
+    }
+
+    stop() {
+        if (!this.recording) return;
+
+        this.mediaRecorder.stop();
+        this.mediaRecorder = null;
+
+        if (this.audioDestination) {
+            this.animation.audioSystem.masterGain.disconnect(this.audioDestination);
+            this.audioDestination = null;
+        }
+        this.animation.onResize();
+    }
+
+    // Renders frame by frame on a fixed clock and saves each frame as a PNG.
+    // Frames go to a folder the user picks when the browser supports it,
+    // otherwise each one is downloaded.
+    async exportFrames({ resolution = 'window', fps = 30, duration = 5 } = {}) {
+        if (this.recording || this.exporting) return;
+
+        const animation = this.animation;
+        const directory = window.showDirectoryPicker
+            ? await window.showDirectoryPicker({ mode: 'readwrite' }).catch(() => null)
+            : null;
+        if (window.showDirectoryPicker && !directory) return;
+
+        const frameCount = Math.round(duration * fps);
+
+        // The simulation and the camera only move on when a frame is done,
+        // and the render loop draws nothing meanwhile, so the export doesn't
+        // depend on how long each frame takes to encode
+        this.exporting = true;
+        this.applyResolution(resolution);
+
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                animation.renderFrame(frame > 0 ? 1 / fps : 0);
+                const blob = await new Promise(resolve => animation.renderer.domElement.toBlob(resolve, 'image/png'));
+                const fileName = `frame-${String(frame).padStart(5, '0')}.png`;
+
+                if (directory) {
+                    const handle = await directory.getFileHandle(fileName, { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                } else {
+                    downloadBlob(blob, fileName);
+                }
+
+                animation.simulation.step(1 / fps);
+            }
+        } finally {
+            this.exporting = false;
+            animation.onResize();
+        }
+    }
+
+    applyResolution(resolution) {
+        const size = RECORDING_RESOLUTIONS[resolution];
+        if (size) {
+            this.animation.setRenderSize(size.width, size.height);
+        }
+    }
+}
+
+// Built-in camera views; saved ones are added next to them
+const CAMERA_PRESETS = {
+    front: { target: [0, 0, 0], distance: 2.5, azimuth: 0, polar: Math.PI / 2 },
+    top: { target: [0, 0, 0], distance: 3, azimuth: 0, polar: 0.05 },
+    side: { target: [0, 0, 0], distance: 2.5, azimuth: Math.PI / 2, polar: Math.PI / 2 },
+    low: { target: [0, 0, 0], distance: 2, azimuth: -Math.PI / 4, polar: Math.PI * 0.7 },
+    wide: { target: [0, 0, 0], distance: 4.5, azimuth: Math.PI / 6, polar: Math.PI * 0.4 }
+};
+
+// Places the camera on a sphere around a target point. The distance to the
+// target is the zoom level that the zoom bands, the sound and depth of field
+// follow. In 'tilt' mode (the default) the pointer tilts the formation; in
+// 'orbit' mode dragging turns the view around the target instead. Views can
+// be flown to, and spline paths flown along, with eased timing.
+class CameraRig {
+    constructor(animation) {
+        this.animation = animation;
+        this.mode = 'tilt';
+        this.target = new THREE.Vector3();
+        this.distance = 2.5;
+        this.azimuth = 0;
+        this.polar = Math.PI / 2;
+        this.minDistance = 1;
+        this.maxDistance = 5;
+        this.maxPan = 1.5;
+        this.autoRotate = false;
+        this.autoRotateSpeed = 0.2;
+        this.flight = null;
+    }
+
+    setDistance(distance) {
+        this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, distance));
+        return this.distance;
+    }
+
+    orbit(deltaAzimuth, deltaPolar) {
+        this.azimuth += deltaAzimuth;
+        this.polar = Math.max(0.05, Math.min(Math.PI - 0.05, this.polar + deltaPolar));
+    }
+
+    // Moves the target (and the camera with it) across the screen
+    pan(deltaX, deltaY) {
+        const camera = this.animation.camera;
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+        this.target.addScaledVector(right, deltaX).addScaledVector(up, deltaY);
+        this.target.clampScalar(-this.maxPan, this.maxPan);
+    }
+
+    getView() {
+        return {
+            target: this.target.toArray(),
+            distance: this.distance,
+            azimuth: this.azimuth,
+            polar: this.polar
+        };
+    }
+
+    // Jumps, or flies over duration seconds, to a view. Resolves true when it
+    // arrives, false if something else takes over the camera first.
+    setView(view, duration = 0) {
+        const from = this.getView();
+        const to = { ...from, ...view };
+        // Turn the short way round
+        to.azimuth = from.azimuth + Math.atan2(Math.sin(to.azimuth - from.azimuth), Math.cos(to.azimuth - from.azimuth));
+
+        return this.fly(duration, progress => {
+            this.target.fromArray(from.target).lerp(new THREE.Vector3().fromArray(to.target), progress);
+            this.setDistance(from.distance + (to.distance - from.distance) * progress);
+            this.azimuth = from.azimuth + (to.azimuth - from.azimuth) * progress;
+            this.polar = from.polar + (to.polar - from.polar) * progress;
+        });
+    }
+
+    // Flies through points ([x, y, z] or views) on a smooth spline, looking
+    // at the target, and carries on orbiting from where the path ends
+    flyPath(points, { duration = 6 } = {}) {
+        const positions = [this.viewToPosition(this.getView()), ...points.map(point => Array.isArray(point)
+            ? new THREE.Vector3().fromArray(point)
+            : this.viewToPosition({ ...this.getView(), ...point }))];
+        const curve = new THREE.CatmullRomCurve3(positions, false, 'centripetal');
+        const spherical = new THREE.Spherical();
+
+        return this.fly(duration, progress => {
+            spherical.setFromVector3(curve.getPoint(progress).sub(this.target));
+            this.setDistance(spherical.radius);
+            this.azimuth = spherical.theta;
+            this.polar = Math.max(0.05, Math.min(Math.PI - 0.05, spherical.phi));
+        });
+    }
+
+    fly(duration, apply) {
+        this.stop();
+        if (!(duration > 0)) {
+            apply(1);
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            this.flight = { duration, elapsed: 0, apply, resolve };
+        });
+    }
+
+    // Cancels a flight, e.g. when the user grabs the camera
+    stop() {
+        if (this.flight) {
+            this.flight.resolve(false);
+            this.flight = null;
+        }
+    }
+
+    viewToPosition({ target, distance, azimuth, polar }) {
+        return new THREE.Vector3()
+            .setFromSphericalCoords(distance, polar, azimuth)
+            .add(new THREE.Vector3().fromArray(target));
+    }
+
+    // Called every frame with real time; pulse pushes the camera back along
+    // its view direction without changing the zoom level
+    update(dt, pulse = 0) {
+        if (this.flight) {
+            const flight = this.flight;
+            flight.elapsed += dt;
+            const progress = Math.min(flight.elapsed / flight.duration, 1);
+            flight.apply(easeInOutCubic(progress));
+            if (progress >= 1) {
+                this.flight = null;
+                flight.resolve(true);
+            }
+        } else if (this.autoRotate && this.animation.gestures.pointers.size === 0) {
+            this.azimuth += this.autoRotateSpeed * dt;
+        }
+
+        const camera = this.animation.camera;
+        camera.position.setFromSphericalCoords(this.distance + pulse, this.polar, this.azimuth).add(this.target);
+        camera.lookAt(this.target);
+        this.animation.updateZoom(this.distance);
+    }
+}
+
+// Turns Pointer Events from mouse, pen and touch into scene gestures. One
+// pointer steers the tilt and force field, or in orbit mode drags the view
+// around (shift or right-drag pans). Two pointers pinch to zoom, twist to
+// rotate and drag to pan. Gestures keep moving and slow down after release,
+// and a double tap plays the effect for the current zoom band.
+class GestureController {
+    constructor(animation, element, signal) {
+        this.animation = animation;
+        this.element = element;
+        this.signal = signal;
+        this.pointers = new Map();
+        this.pinch = null;
+        this.velocity = { zoom: 0, twist: 0, panX: 0, panY: 0, orbitX: 0, orbitY: 0 };
+        this.inertiaDecay = 0.92;
+        this.lastTap = null;
+        this.doubleTapDelay = 300;
+        this.doubleTapDistance = 30;
+        // A tap is a short press that barely moves, with a single pointer
+        this.tapDuration = 250;
+        this.tapDistance = 10;
+        this.multiPointer = false;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+
+        element.addEventListener('pointerdown', this.onPointerDown, { signal });
+        animation.container.addEventListener('pointermove', this.onPointerMove, { signal });
+        window.addEventListener('pointerup', this.onPointerUp, { signal });
+        window.addEventListener('pointercancel', this.onPointerUp, { signal });
+    }
+
+    // Moves gesture input to a new canvas, e.g. after the renderer is replaced
+    attach(element) {
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.pointers.clear();
+        this.pinch = null;
+        this.element = element;
+        element.addEventListener('pointerdown', this.onPointerDown, { signal: this.signal });
+    }
+
+    onPointerDown(event) {
+        this.element.setPointerCapture?.(event.pointerId);
+        this.pointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            type: event.pointerType,
+            downX: event.clientX,
+            downY: event.clientY,
+            downTime: performance.now()
+        });
+        this.velocity = { zoom: 0, twist: 0, panX: 0, panY: 0, orbitX: 0, orbitY: 0 };
+        this.animation.cameraRig.stop();
+
+        if (this.pointers.size === 1) {
+            this.animation.onPointerMove(event);
+            this.animation.onPointerDown();
+        } else if (this.pointers.size === 2) {
+            // A second finger turns the hold into a pinch
+            this.animation.onPointerUp();
+            this.animation.pointerActive = false;
+            this.pinch = this.measurePinch();
+        }
+        if (this.pointers.size > 1) {
+            this.multiPointer = true;
+            this.lastTap = null;
+        }
+    }
+
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) {
+            // Hovering mouse or pen
+            if (event.pointerType !== 'touch') this.animation.onPointerMove(event);
+            return;
+        }
+
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (this.pointers.size === 1) {
+            this.animation.onPointerMove(event);
+            if (this.animation.cameraRig.mode === 'orbit') {
+                const height = this.animation.getViewportSize().height;
+                const panScale = this.animation.zoomLevel / height;
+                const pan = event.shiftKey || (event.buttons & 6);
+                this.velocity = {
+                    zoom: 0,
+                    twist: 0,
+                    panX: pan ? -deltaX * panScale : 0,
+                    panY: pan ? deltaY * panScale : 0,
+                    orbitX: pan ? 0 : -Math.PI * 2 * deltaX / height,
+                    orbitY: pan ? 0 : -Math.PI * 2 * deltaY / height
+                };
+                this.applyVelocity();
+            }
+        } else if (this.pinch) {
+            const current = this.measurePinch();
+            const previous = this.pinch;
+
+            // Zoom follows the finger spread, twist the change in angle and
+            // pan the midpoint, in the same units the scene uses
+            const zoom = this.animation.zoomLevel * previous.distance / Math.max(current.distance, 1);
+            let twist = current.angle - previous.angle;
+            if (twist > Math.PI) twist -= Math.PI * 2;
+            if (twist < -Math.PI) twist += Math.PI * 2;
+            const panScale = this.animation.zoomLevel / this.animation.getViewportSize().height;
+
+            this.velocity = {
+                zoom: zoom - this.animation.zoomLevel,
+                twist,
+                panX: -(current.x - previous.x) * panScale,
+                panY: (current.y - previous.y) * panScale,
+                orbitX: 0,
+                orbitY: 0
+            };
+            this.applyVelocity();
+            this.pinch = current;
+        }
+    }
+
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(event.pointerId);
+        this.element.releasePointerCapture?.(event.pointerId);
+
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+
+        if (this.pointers.size === 0) {
+            this.animation.onPointerUp();
+            // Touch has no hover, so the field lets go with the finger
+            if (event.pointerType === 'touch') this.animation.pointerActive = false;
+            if (event.type === 'pointerup' && !this.multiPointer) this.detectDoubleTap(event, pointer);
+            this.multiPointer = false;
+        }
+    }
+
+    measurePinch() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    detectDoubleTap(event, pointer) {
+        const now = performance.now();
+        if (now - pointer.downTime > this.tapDuration
+            || Math.hypot(event.clientX - pointer.downX, event.clientY - pointer.downY) > this.tapDistance) {
+            this.lastTap = null;
+            return;
+        }
+
+        const last = this.lastTap;
+        this.lastTap = { time: now, x: event.clientX, y: event.clientY };
+
+        if (last && now - last.time < this.doubleTapDelay
+            && Math.hypot(event.clientX - last.x, event.clientY - last.y) < this.doubleTapDistance) {
+            this.lastTap = null;
+            this.animation.playZoomBandEffect();
+        }
+    }
+
+    applyVelocity(scale = 1) {
+        const { animation, velocity } = this;
+
+        if (velocity.zoom) {
+            animation.updateZoom(animation.cameraRig.setDistance(animation.zoomLevel + velocity.zoom * scale));
+        }
+        animation.targetRotation.z += velocity.twist * scale;
+        animation.cameraRig.pan(velocity.panX * scale, velocity.panY * scale);
+        animation.cameraRig.orbit(velocity.orbitX * scale, velocity.orbitY * scale);
+    }
+
+    // Called every frame: lets released gestures glide to a stop
+    update(dt) {
+        if (this.pointers.size > 0) return;
+
+        const velocity = this.velocity;
+        if (Object.values(velocity).every(value => Math.abs(value) < 1e-4)) {
+            this.velocity = { zoom: 0, twist: 0, panX: 0, panY: 0, orbitX: 0, orbitY: 0 };
+            return;
+        }
+
+        // Velocities are per 60 fps frame
+        this.applyVelocity(dt * 60);
+        Object.keys(velocity).forEach(key => { velocity[key] *= Math.pow(this.inertiaDecay, dt * 60); });
+    }
+}
+
+// Quality levels the adaptive controller steps between, cheapest first.
+// pixelRatio is a cap on the device pixel ratio.
+const QUALITY_LEVELS = [
+    { particles: 10000, pixelRatio: 0.75, antialias: false },
+    { particles: 30000, pixelRatio: 1, antialias: false },
+    { particles: 60000, pixelRatio: 1.5, antialias: true },
+    { particles: 100000, pixelRatio: 2, antialias: true },
+    { particles: 150000, pixelRatio: 2, antialias: true }
+];
+
+// Measures frame times and steps the quality level down when the frame rate
+// drops below the target, and back up when it holds the target. Stepping
+// down is quick, stepping up needs a longer steady stretch, and a level that
+// had to be left again waits twice as long before it is retried, so the
+// controller settles instead of flapping between two levels. Unless a
+// target is given, it is the display's refresh rate: the median frame
+// interval over the first second.
+class QualityController {
+    constructor(animation, { targetFps = null, level = 3 } = {}) {
+        this.animation = animation;
+        // Without a fixed target, quality aims for the display's refresh rate
+        this.targetFps = targetFps;
+        this.refreshRate = 60;
+        this.level = level;
+        this.enabled = true;
+        this.downgradeWindow = 2;
+        this.upgradeWindow = 5;
+        this.upgradeCooldowns = QUALITY_LEVELS.map(() => 10);
+        this.blockedUntil = 0;
+        this.frameTimes = [];
+        this.lastFrame = null;
+        this.windowStart = null;
+        this.stats = { fps: 0, frameTime: 0 };
+    }
+
+    setLevel(level) {
+        this.level = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, level));
+        this.animation.applyQuality(QUALITY_LEVELS[this.level]);
+        this.resetWindow();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.resetWindow();
+    }
+
+    resetWindow() {
+        this.frameTimes = [];
+        this.windowStart = null;
+    }
+
+    get target() {
+        return this.targetFps ?? this.refreshRate;
+    }
+
+    // The time the render loop was stopped is not a frame
+    restart() {
+        this.lastFrame = null;
+        this.resetWindow();
+    }
+
+    // Times an empty requestAnimationFrame loop, so the display and not the
+    // cost of rendering sets the refresh rate. The median resists the odd
+    // slow frame while the page starts up.
+    measureRefreshRate(frames = 30) {
+        return new Promise(resolve => {
+            const times = [];
+            let last = null;
+            const step = now => {
+                if (last !== null) times.push(now - last);
+                last = now;
+                if (times.length < frames) {
+                    requestAnimationFrame(step);
+                    return;
+                }
+                times.sort((a, b) => a - b);
+                this.refreshRate = 1000 / times[Math.floor(times.length / 2)];
+                resolve(this.refreshRate);
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    // Called once per rendered frame
+    update() {
+        const now = performance.now() / 1000;
+        const frameTime = this.lastFrame === null ? null : now - this.lastFrame;
+        this.lastFrame = now;
+
+        if (frameTime === null) {
+            this.resetWindow();
+            return;
+        }
+
+        this.frameTimes.push(frameTime);
+        this.windowStart = this.windowStart ?? now;
+
+        // Rolling stats for the HUD over the last half second or so
+        const recent = this.frameTimes.slice(-30);
+        const averageRecent = recent.reduce((sum, time) => sum + time, 0) / recent.length;
+        this.stats = { fps: 1 / averageRecent, frameTime: averageRecent * 1000 };
+
+        // Recordings need a stable output, so quality is frozen meanwhile
+        const recorder = this.animation.recorder;
+        if (!this.enabled || recorder.recording || recorder.exporting) {
+            this.resetWindow();
+            return;
+        }
+
+        const elapsed = now - this.windowStart;
+        const average = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+        const fps = 1 / average;
+
+        if (elapsed >= this.downgradeWindow && fps < this.target * 0.85 && this.level > 0) {
+            // Every time a level has to be left, retrying it waits twice as long
+            this.upgradeCooldowns[this.level] *= 2;
+            this.blockedUntil = now + this.upgradeCooldowns[this.level];
+            this.setLevel(this.level - 1);
+            this.animation.emit('qualitychange', { level: this.level, fps });
+        } else if (elapsed >= this.upgradeWindow) {
+            const next = this.level + 1;
+            if (fps >= this.target * 0.95 && next < QUALITY_LEVELS.length && now >= this.blockedUntil) {
+                this.blockedUntil = now + this.upgradeCooldowns[next];
+                this.setLevel(next);
+                this.animation.emit('qualitychange', { level: this.level, fps });
+            } else {
+                this.resetWindow();
+            }
+        }
+    }
+}
+
+// Vignette and chromatic aberration in one screen pass
+const RETRO_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uVignette: { value: 0.35 },
+        uAberration: { value: 0.002 }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uVignette;
+        uniform float uAberration;
+
+        varying vec2 vUv;
+
+        void main() {
+            // Red and blue drift apart towards the edges
+            vec2 offset = (vUv - 0.5) * uAberration;
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+
+            float edge = length(vUv - 0.5) * 1.4142;
+            color.rgb *= 1.0 - uVignette * smoothstep(0.4, 1.0, edge);
+            gl_FragColor = color;
+        }
+    `
+};
+
+// Defaults for each pass of the post-processing stack
+const POST_PROCESSING_DEFAULTS = {
+    bloom: { enabled: true, strength: 0.8, radius: 0.4, threshold: 0.2 },
+    // Trails linger longer (boostedDamp) during EXPAND and in the tornado
+    trails: { enabled: true, damp: 0.75, boostedDamp: 0.9 },
+    // Points away from the focus distance (the zoom level) grow and soften
+    depthOfField: { enabled: false, aperture: 0.6, focusOffset: 0 },
+    vignette: { enabled: true, vignette: 0.35, aberration: 0.002 }
+};
+
+// Optional EffectComposer stack on top of the particle render. The passes
+// are loaded on first use, and the stack steps aside on low quality levels
+// so weak devices keep their frame rate.
+class PostProcessing {
+    constructor(animation) {
+        this.animation = animation;
+        this.enabled = true;
+        this.minQualityLevel = 2;
+        this.settings = JSON.parse(JSON.stringify(POST_PROCESSING_DEFAULTS));
+        this.modules = null;
+        this.composer = null;
+        this.passes = {};
+        this.rawBackground = { source: null, raw: null };
+        this.wasActive = false;
+    }
+
+    get active() {
+        return this.enabled && !!this.composer && this.animation.quality.level >= this.minQualityLevel;
+    }
+
+    async init() {
+        try {
+            const [
+                { EffectComposer },
+                { RenderPass },
+                { UnrealBloomPass },
+                { AfterimagePass },
+                { ShaderPass }
+            ] = await Promise.all([
+                import('three/addons/postprocessing/EffectComposer.js'),
+                import('three/addons/postprocessing/RenderPass.js'),
+                import('three/addons/postprocessing/UnrealBloomPass.js'),
+                import('three/addons/postprocessing/AfterimagePass.js'),
+                import('three/addons/postprocessing/ShaderPass.js')
+            ]);
+            this.modules = { EffectComposer, RenderPass, UnrealBloomPass, AfterimagePass, ShaderPass };
+            this.build();
+        } catch (error) {
+            console.error('Error loading post-processing:', error);
+            this.enabled = false;
+        }
+    }
+
+    // (Re)creates the composer for the animation's current renderer
+    build() {
+        if (!this.modules) return;
+        const { EffectComposer, RenderPass, UnrealBloomPass, AfterimagePass, ShaderPass } = this.modules;
+        const { renderer, scene, camera } = this.animation;
+
+        this.dispose();
+        this.composer = new EffectComposer(renderer);
+        this.passes = {
+            render: new RenderPass(scene, camera),
+            trails: new AfterimagePass(),
+            bloom: new UnrealBloomPass(this.animation.renderer.getSize(new THREE.Vector2())),
+            vignette: new ShaderPass(RETRO_SHADER)
+        };
+        Object.values(this.passes).forEach(pass => this.composer.addPass(pass));
+
+        Object.keys(this.settings).forEach(name => this.applySettings(name));
+        this.setSize();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // Turns one pass ('bloom', 'trails', 'depthOfField' or 'vignette') on or off
+    setPass(name, enabled) {
+        this.setParams(name, { enabled });
+    }
+
+    setParams(name, params) {
+        if (!this.settings[name]) {
+            console.warn(`Unknown post-processing pass "${name}"`);
+            return;
+        }
+        Object.assign(this.settings[name], params);
+        this.applySettings(name);
+    }
+
+    applySettings(name) {
+        const settings = this.settings[name];
+        const pass = this.passes[name];
+
+        if (name === 'bloom' && pass) {
+            pass.enabled = settings.enabled;
+            pass.strength = settings.strength;
+            pass.radius = settings.radius;
+            pass.threshold = settings.threshold;
+        } else if (name === 'trails' && pass) {
+            pass.enabled = settings.enabled;
+        } else if (name === 'vignette' && pass) {
+            pass.enabled = settings.enabled;
+            pass.uniforms.uVignette.value = settings.vignette;
+            pass.uniforms.uAberration.value = settings.aberration;
+        } else if (name === 'depthOfField') {
+            // Runs in the particle shader: points write no depth for a screen pass to use
+            const uniforms = this.animation.particles?.material.uniforms;
+            if (uniforms) {
+                uniforms.uAperture.value = settings.enabled && this.active ? settings.aperture : 0;
+            }
+        }
+    }
+
+    setSize() {
+        if (!this.composer) return;
+        const size = this.animation.renderer.getSize(new THREE.Vector2());
+        this.composer.setPixelRatio(this.animation.renderer.getPixelRatio());
+        this.composer.setSize(size.x, size.y);
+    }
+
+    // Called every frame before rendering
+    update() {
+        const { animation, settings } = this;
+        const uniforms = animation.particles.material.uniforms;
+
+        uniforms.uFocusDistance.value = animation.zoomLevel + settings.depthOfField.focusOffset;
+        if (this.active !== this.wasActive) {
+            this.wasActive = this.active;
+            this.applySettings('depthOfField');
+        }
+
+        if (this.passes.trails) {
+            const boosted = animation.effects.isActive('expand') || animation.particleMode === 'tornado';
+            this.passes.trails.uniforms.damp.value = boosted ? settings.trails.boostedDamp : settings.trails.damp;
+        }
+    }
+
+    render() {
+        // The particle shader writes display-ready sRGB values and the passes
+        // keep them as they are, so the background has to reach the render
+        // targets unconverted too
+        const scene = this.animation.scene;
+        const background = scene.background;
+        scene.background = this.getRawBackground(background);
+        this.composer.render();
+        scene.background = background;
+    }
+
+    dispose() {
+        Object.values(this.passes).forEach(pass => pass.dispose?.());
+        this.composer?.dispose();
+        this.composer = null;
+        this.passes = {};
+        if (this.rawBackground.raw?.isTexture) this.rawBackground.raw.dispose();
+        this.rawBackground = { source: null, raw: null };
+    }
+
+    getRawBackground(background) {
+        if (this.rawBackground.source !== background) {
+            if (this.rawBackground.raw?.isTexture) this.rawBackground.raw.dispose();
+
+            let raw = background;
+            if (background?.isColor) {
+                const { r, g, b } = background.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+                raw = new THREE.Color().setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+            } else if (background?.isTexture) {
+                raw = background.clone();
+                raw.colorSpace = THREE.NoColorSpace;
+            }
+            this.rawBackground = { source: background, raw };
+        }
+        return this.rawBackground.raw;
+    }
+}
+
+// Tunable parameters by key, for the settings panel and get/setParameter().
+// group and label place a parameter in the panel, get and set read and write
+// the live value on an animation, and default is what reset restores.
+// Numbers have min, max and step; selects list their options.
+const parameters = new Map();
+
+export function registerParameter(key, {
+    group = 'Other',
+    label = key,
+    type = 'number',
+    min = 0,
+    max = 1,
+    step = 0.01,
+    options = [],
+    default: defaultValue,
+    get,
+    set
+}) {
+    if (typeof get !== 'function' || typeof set !== 'function') {
+        throw new TypeError(`Parameter "${key}" needs get and set functions`);
+    }
+    parameters.set(key, { key, group, label, type, min, max, step, options, default: defaultValue, get, set });
+}
+
+const uniformParameter = (uniform, definition) => ({
+    ...definition,
+    get: animation => animation.particles.material.uniforms[uniform].value,
+    set: (animation, value) => { animation.particles.material.uniforms[uniform].value = value; }
+});
+
+registerParameter('particles.size', uniformParameter('uSizeScale', {
+    group: 'Particles', label: 'Size', min: 0.2, max: 4, default: 1
+}));
+registerParameter('particles.opacity', uniformParameter('uOpacity', {
+    group: 'Particles', label: 'Opacity', default: 0.8
+}));
+registerParameter('particles.blending', {
+    group: 'Particles',
+    label: 'Blending',
+    type: 'select',
+    options: ['additive', 'normal'],
+    default: 'additive',
+    get: animation => animation.particles.material.blending === THREE.AdditiveBlending ? 'additive' : 'normal',
+    set: (animation, value) => {
+        animation.particles.material.blending = value === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending;
+        animation.particles.material.needsUpdate = true;
+    }
+});
+registerParameter('colors.cycleSpeed', {
+    group: 'Particles', label: 'Color cycle speed', max: 2, default: 0.1,
+    get: animation => animation.colorCycleSpeed,
+    set: (animation, value) => animation.setColorCycleSpeed(value)
+});
+
+// The starfield, or an emitter layer by name
+const getLayerSystem = (animation, layer) => layer === 'stars' ? animation.starfield : animation.emitters.get(layer);
+const layerParameter = (layer, name, definition) => ({
+    group: 'Layers',
+    ...definition,
+    get: animation => getLayerSystem(animation, layer)?.settings[name] ?? definition.default,
+    set: (animation, value) => getLayerSystem(animation, layer)?.setOptions({ [name]: value })
+});
+const layerVisibleParameter = (layer, label) => ({
+    group: 'Layers', label, type: 'boolean', default: true,
+    get: animation => animation.layers.get(layer)?.visible ?? false,
+    set: (animation, value) => animation.setLayerVisible(layer, value)
+});
+registerParameter('layers.stars.visible', layerVisibleParameter('stars', 'Stars'));
+registerParameter('layers.stars.count', layerParameter('stars', 'count', {
+    label: 'Star count', min: 0, max: 5000, step: 100, default: 1500
+}));
+registerParameter('layers.stars.size', layerParameter('stars', 'size', {
+    label: 'Star size', min: 0.02, max: 0.5, default: 0.15
+}));
+registerParameter('layers.stars.opacity', layerParameter('stars', 'opacity', { label: 'Star opacity', default: 0.7 }));
+registerParameter('layers.stars.twinkle', layerParameter('stars', 'twinkle', { label: 'Twinkle', default: 0.4 }));
+registerParameter('layers.sparks.visible', layerVisibleParameter('sparks', 'Sparks'));
+registerParameter('layers.sparks.count', {
+    group: 'Layers', label: 'Sparks per EXPAND', min: 0, max: 2000, step: 50, default: 400,
+    get: animation => animation.sparkCount,
+    set: (animation, value) => { animation.sparkCount = value; }
+});
+registerParameter('layers.sparks.size', layerParameter('sparks', 'size', {
+    label: 'Spark size', min: 0.01, max: 0.2, default: 0.04
+}));
+registerParameter('layers.sparks.opacity', layerParameter('sparks', 'opacity', { label: 'Spark opacity', default: 1 }));
+registerParameter('layers.sparks.drag', layerParameter('sparks', 'drag', {
+    label: 'Spark drag', max: 5, step: 0.1, default: 1.2
+}));
+
+registerParameter('motion.idleAmplitude', uniformParameter('uIdleAmplitude', {
+    group: 'Motion', label: 'Idle motion', max: 3, default: 1
+}));
+registerParameter('motion.morphDuration', {
+    group: 'Motion', label: 'Morph duration (s)', min: 0.1, max: 5, step: 0.1, default: 1.5,
+    get: animation => animation.morphDuration,
+    set: (animation, value) => { animation.morphDuration = value; }
+});
+registerParameter('motion.timeScale', {
+    group: 'Motion', label: 'Speed', max: 4, step: 0.05, default: 1,
+    get: animation => animation.simulation.timeScale,
+    set: (animation, value) => animation.setTimeScale(value)
+});
+registerParameter('motion.interactionStrength', {
+    group: 'Motion', label: 'Interaction strength', default: 0.5,
+    get: animation => animation.interactionStrength,
+    set: (animation, value) => animation.setInteractionStrength(value)
+});
+
+const pointerParameter = (name, definition) => ({
+    group: 'Pointer',
+    ...definition,
+    get: animation => animation.pointerField[name],
+    set: (animation, value) => animation.setPointerField({ [name]: value })
+});
+registerParameter('pointer.radius', pointerParameter('radius', { label: 'Radius', min: 0.1, max: 2, default: 0.5 }));
+registerParameter('pointer.falloff', pointerParameter('falloff', { label: 'Falloff', min: 0.5, max: 6, step: 0.1, default: 2 }));
+registerParameter('pointer.strength', pointerParameter('strength', { label: 'Strength', max: 2, default: 0.6 }));
+registerParameter('pointer.mode', pointerParameter('mode', {
+    label: 'Mode', type: 'select', options: ['repel', 'attract'], default: 'repel'
+}));
+
+registerParameter('camera.innerZoom', {
+    group: 'Camera', label: 'COLLAPSE below zoom', min: 1, max: 5, step: 0.1, default: 2.2,
+    get: animation => animation.zoomBands.inner,
+    set: (animation, value) => animation.setZoomBands({ inner: value })
+});
+registerParameter('camera.outerZoom', {
+    group: 'Camera', label: 'EXPAND above zoom', min: 1, max: 5, step: 0.1, default: 2.8,
+    get: animation => animation.zoomBands.outer,
+    set: (animation, value) => animation.setZoomBands({ outer: value })
+});
+registerParameter('camera.autoRotateSpeed', {
+    group: 'Camera', label: 'Auto-rotate speed', min: -1, max: 1, default: 0.2,
+    get: animation => animation.cameraRig.autoRotateSpeed,
+    set: (animation, value) => { animation.cameraRig.autoRotateSpeed = value; }
+});
+
+const postParameter = (pass, name, definition) => ({
+    group: 'Post-processing',
+    type: typeof POST_PROCESSING_DEFAULTS[pass][name] === 'boolean' ? 'boolean' : 'number',
+    default: POST_PROCESSING_DEFAULTS[pass][name],
+    ...definition,
+    get: animation => animation.postProcessing.settings[pass][name],
+    set: (animation, value) => animation.postProcessing.setParams(pass, { [name]: value })
+});
+registerParameter('post.bloom.enabled', postParameter('bloom', 'enabled', { label: 'Bloom' }));
+registerParameter('post.bloom.strength', postParameter('bloom', 'strength', { label: 'Bloom strength', max: 3 }));
+registerParameter('post.bloom.radius', postParameter('bloom', 'radius', { label: 'Bloom radius' }));
+registerParameter('post.bloom.threshold', postParameter('bloom', 'threshold', { label: 'Bloom threshold' }));
+registerParameter('post.trails.enabled', postParameter('trails', 'enabled', { label: 'Trails' }));
+registerParameter('post.trails.damp', postParameter('trails', 'damp', { label: 'Trail length', max: 0.98 }));
+registerParameter('post.trails.boostedDamp', postParameter('trails', 'boostedDamp', { label: 'Boosted trail length', max: 0.98 }));
+registerParameter('post.depthOfField.enabled', postParameter('depthOfField', 'enabled', { label: 'Depth of field' }));
+registerParameter('post.depthOfField.aperture', postParameter('depthOfField', 'aperture', { label: 'Aperture', max: 2 }));
+registerParameter('post.depthOfField.focusOffset', postParameter('depthOfField', 'focusOffset', { label: 'Focus offset', min: -2, max: 2 }));
+registerParameter('post.vignette.enabled', postParameter('vignette', 'enabled', { label: 'Vignette' }));
+registerParameter('post.vignette.vignette', postParameter('vignette', 'vignette', { label: 'Vignette amount' }));
+registerParameter('post.vignette.aberration', postParameter('vignette', 'aberration', { label: 'Aberration', max: 0.01, step: 0.0005 }));
+
+registerParameter('audio.volume', {
+    group: 'Audio', label: 'Volume', default: 0.15,
+    get: animation => animation.audioSystem.volume,
+    set: (animation, value) => animation.audioSystem.setVolume(value)
+});
+registerParameter('audio.reverbTime', {
+    group: 'Audio', label: 'Reverb time (s)', min: 0.1, max: 6, step: 0.1, default: 2,
+    get: animation => animation.audioSystem.reverbTime,
+    set: (animation, value) => animation.audioSystem.setReverbTime(value)
+});
+
+// Durations and float uniforms of the registered effects, listed as
+// effects.<name>.<setting>, with the registered values as defaults
+function getEffectParameters() {
+    const list = [];
+    effects.forEach(effect => {
+        const durations = animation => animation.particles.material.uniforms[`uEffectDuration${effect.index}`].value;
+        list.push({
+            key: `effects.${effect.name}.duration`, group: 'Effects', label: `${effect.label} duration (s)`,
+            type: 'number', min: 0.1, max: 10, step: 0.1, options: [], default: effect.duration,
+            get: animation => durations(animation).x,
+            set: (animation, value) => { durations(animation).x = value; }
+        }, {
+            key: `effects.${effect.name}.transitionDuration`, group: 'Effects', label: `${effect.label} return (s)`,
+            type: 'number', min: 0.1, max: 10, step: 0.1, options: [], default: effect.transitionDuration,
+            get: animation => durations(animation).y,
+            set: (animation, value) => { durations(animation).y = value; }
+        });
+
+        Object.entries(effect.uniforms).forEach(([name, { type, value }]) => {
+            if (type !== 'float') return;
+            const setting = name.replace(/^u/, '').replace(new RegExp(`^${effect.name}`, 'i'), '');
+            list.push({
+                key: `effects.${effect.name}.${setting.charAt(0).toLowerCase()}${setting.slice(1)}`,
+                group: 'Effects',
+                label: `${effect.label} ${setting.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}`,
+                type: 'number', min: 0, max: value * 4 || 1, step: 0.01, options: [], default: value,
+                ...uniformParameter(name, {})
+            });
+        });
+    });
+    return list;
+}
+
+function getParameterDefinitions() {
+    return [...parameters.values(), ...getEffectParameters()];
+}
+
+// localStorage keys for the autosaved scene and the named presets
+const STATE_STORAGE_KEY = 'particle-animation-state';
+const PRESETS_STORAGE_KEY = 'particle-animation-presets';
+const PALETTES_STORAGE_KEY = 'particle-animation-palettes';
+const CAMERA_PRESETS_STORAGE_KEY = 'particle-animation-camera-presets';
+
+// Keeps only the known scene fields, with the right types, from untrusted
+// input (URL hash, localStorage or an imported file)
+function sanitizeState(raw) {
+    const state = {};
+    if (!raw || typeof raw !== 'object') return state;
+
+    if (typeof raw.mode === 'string') state.mode = raw.mode;
+    if (Number.isFinite(Number(raw.interactionStrength))) {
+        state.interactionStrength = Math.max(0, Math.min(1, Number(raw.interactionStrength)));
+    }
+    if (Number.isFinite(Number(raw.zoom))) {
+        state.zoom = Math.max(1, Math.min(5, Number(raw.zoom)));
+    }
+    if (raw.sound !== undefined) {
+        state.sound = raw.sound === true || raw.sound === 'true' || raw.sound === '1' || raw.sound === 1;
+    }
+    if (Number.isFinite(Number(raw.seed))) state.seed = Number(raw.seed) >>> 0;
+    if (typeof raw.palette === 'string') state.palette = raw.palette;
+    if (COLOR_SOURCES.includes(raw.colorSource)) state.colorSource = raw.colorSource;
+    if (Number.isFinite(Number(raw.colorCycleSpeed))) {
+        state.colorCycleSpeed = Math.max(-1, Math.min(1, Number(raw.colorCycleSpeed)));
+    }
+    return state;
+}
+
+const readStorage = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn('Could not save to localStorage:', error);
+    }
+};
+
+// Numbers each instance's UI so element ids stay unique on the page
+let instanceCount = 0;
+
+// Options:
+//   container      element (or selector) to render into; UI goes in there too
+//   overlay        element (or selector) for error messages, else the container
+//   particleCount  fixed count; turns off the adaptive particle count
+//   modes          formation names to offer, in order; defaults to all
+//   ui             build the controls (default true)
+//   audio          offer sound, microphone and audio files (default true)
+//   keyboard       listen for keyboard shortcuts on the window (default true)
+//   persist        read and write the page URL and localStorage (default true);
+//                  turn off for all but one instance on a page
+//   attractAfter   seconds without input before attract mode starts a show
+//   attractTimeline  timeline (or URL of one) for attract mode; defaults to
+//                  a tour of the built-in formations
+//   remote         accept commands from controller.html: true for other tabs
+//                  on this machine, or { channel, url } to also connect to a
+//                  WebSocket relay (see relay.py)
+//
+// Events (see on()): 'modechange', 'effectstart', 'effectend', 'zoom',
+// 'timechange', 'timelineend', 'attract', 'parameterchange', 'statechange'
+// and 'qualitychange'
+export class ParticleAnimation {
+    constructor({
+        container = '#scene-container',
+        overlay = null,
+        particleCount = null,
+        modes = null,
+        ui = true,
+        audio = true,
+        keyboard = true,
+        persist = true,
+        attractAfter = null,
+        attractTimeline = null,
+        remote = false
+    } = {}) {
+        const resolveElement = element => typeof element === 'string' ? document.querySelector(element) : element;
+        this.container = resolveElement(container);
+        this.overlay = resolveElement(overlay);
+        if (!this.container) {
+            throw new Error('ParticleAnimation needs a container element');
+        }
+        this.options = { modes, ui, audio, keyboard, persist };
+        this.eventListeners = new Map();
+        this.memoryStorage = new Map();
+
+        if (!this.checkWebGLSupport()) {
+            this.showMessage('<h1>WebGL is not supported on your browser</h1>');
+            return;
+        }
+
+        try {
+            this.container.classList.add('particle-animation');
+            // Aborting this removes every DOM listener the instance added
+            this.abortController = new AbortController();
+            this.scene = new THREE.Scene();
+            const { width, height } = this.getViewportSize();
+            this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 100);
+
+            // Particle count, pixel ratio and antialiasing follow the quality
+            // level, which adapts to the measured frame rate
+            this.quality = new QualityController(this, { level: this.calculateInitialQualityLevel() });
+            this.qualitySettings = QUALITY_LEVELS[this.quality.level];
+            this.particleCount = this.qualitySettings.particles;
+            if (particleCount) {
+                this.particleCount = Math.max(1, Math.round(particleCount));
+                this.quality.setEnabled(false);
+            }
+            this.renderer = new THREE.WebGLRenderer({ 
+                antialias: this.qualitySettings.antialias,
+                powerPreference: "high-performance"
+            });
+            this.clock = new THREE.Clock();
+            // Everything that moves over time steps with the simulation, so it
+            // runs at the same speed at any frame rate and can be paused
+            this.simulation = new Simulation();
+            this.timelinePlayer = new TimelinePlayer(this);
+            this.timelineLoads = 0;
+            this.simulation.add(dt => this.timelinePlayer.update(dt));
+            this.simulation.add(dt => this.updateSimulation(dt));
+            this.mouse = new THREE.Vector2();
+            // x and y follow the pointer, z is the two-finger twist
+            this.targetRotation = new THREE.Vector3();
+            this.colorCycle = 0;
+
+            // The pointer raycast into the scene acts as an attractor or
+            // repeller; holding the button (or a touch) flips the mode
+            this.raycaster = new THREE.Raycaster();
+            this.pointerPlane = new THREE.Plane();
+            this.pointerField = { radius: 0.5, falloff: 2, strength: 0.6, mode: 'repel' };
+            this.pointerActive = false;
+            this.pointerHeld = false;
+            this.pointerHoldTimeout = null;
+
+            // Palettes saved from the editor, before the state picks one
+            this.loadCustomPalettes();
+
+            // Restore the last scene: URL hash first, then the autosave
+            const initialState = this.loadInitialState();
+            this.particleMode = this.hasMode(initialState.mode) ? initialState.mode : this.getModes()[0];
+            this.interactionStrength = initialState.interactionStrength ?? 0.5;
+            this.palette = palettes.has(initialState.palette) ? initialState.palette : 'rainbow';
+            this.colorSource = initialState.colorSource ?? 'angle';
+            this.colorCycleSpeed = initialState.colorCycleSpeed ?? 0.1;
+            this.backgroundOverride = null;
+            this.stateSaveTimeout = null;
+            this.zoomStateTimeout = null;
+            
+            // Initialize audio system
+            this.audioSystem = new AudioSystem();
+
+            // Microphone / audio file analysis driving the visuals
+            this.audioAnalyser = new AudioAnalyser();
+            this.audioMappings = JSON.parse(JSON.stringify(DEFAULT_AUDIO_MAPPINGS));
+            this.beatTriggersExplosion = false;
+            this.cameraPulse = 0;
+
+            this.recorder = new SceneRecorder(this);
+            this.effects = new EffectManager(this);
+            this.postProcessing = new PostProcessing(this);
+
+            // Follows the system setting until setReducedMotion() overrides it
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.reducedMotion = this.reducedMotionQuery.matches;
+            
+            // The camera orbits a target; its distance is the zoom level,
+            // starting in the middle range
+            this.cameraRig = new CameraRig(this);
+            this.zoomLevel = this.cameraRig.distance;
+            // Zoomed in past inner shows COLLAPSE, out past outer EXPAND
+            this.zoomBands = { inner: 2.2, outer: 2.8 };
+
+            // The render loop stops while the tab is hidden or the WebGL
+            // context is lost
+            this.frameId = null;
+            this.contextLost = false;
+            this.resumeSoundWhenVisible = false;
+            this.morphDuration = 1.5;
+            this.morph = null;
+
+            // Formation targets are built once per seed and cached by mode name
+            const urlSeed = persist ? parseInt(new URLSearchParams(window.location.search).get('seed'), 10) : NaN;
+            this.seed = Number.isFinite(urlSeed)
+                ? urlSeed >>> 0
+                : initialState.seed ?? Math.floor(Math.random() * 4294967296);
+            this.formationTargets = new Map();
+
+            // Rebuild the shader and buttons when formations or effects are added later
+            this.onFormationsChanged = this.onFormationsChanged.bind(this);
+            formationListeners.add(this.onFormationsChanged);
+            this.onEffectsChanged = this.onEffectsChanged.bind(this);
+            effectListeners.add(this.onEffectsChanged);
+            this.onPalettesChanged = this.onPalettesChanged.bind(this);
+            paletteListeners.add(this.onPalettesChanged);
+            
+            this.init();
+            this.setupParticles();
+            this.setupLayers();
+            this.addEventListeners();
+            if (ui) {
+                this.setupUI();
+                this.setupDynamicButtons();
+            }
+            this.setReducedMotion(this.reducedMotion);
+            // The refresh rate is measured before the heavy rendering starts
+            if (this.quality.enabled && this.quality.targetFps === null) {
+                this.quality.measureRefreshRate().then(() => this.startLoop());
+            } else {
+                this.animate();
+            }
+            this.postProcessing.init();
+
+            if (initialState.zoom !== undefined) {
+                this.setZoom(initialState.zoom);
+            }
+            if (initialState.sound) {
+                this.resumeSoundOnInteraction();
+            }
+
+            // Optional formation to start from, e.g. ?model=models/logo.glb,
+            // ?image=images/logo.png or ?text=Hello
+            const params = new URLSearchParams(persist ? window.location.search : '');
+            if (params.has('model')) {
+                this.importModel(params.get('model')).catch(() => {});
+            } else if (params.has('image')) {
+                this.importImage(params.get('image')).catch(() => {});
+            } else if (params.has('text')) {
+                this.createTextFormation(params.get('text')).catch(() => {});
+            }
+
+            // Kiosk setups: ?attract=60 starts a show after a minute without
+            // input, ?timeline=shows/intro.json picks the show (or plays it
+            // right away without ?attract)
+            const idleTimeout = parseFloat(params.get('attract')) || attractAfter;
+            const timeline = params.get('timeline') ?? attractTimeline;
+            if (idleTimeout > 0) {
+                this.attract = new AttractMode(this, { idleTimeout, timeline: timeline ?? undefined }, this.abortController.signal);
+            } else if (params.has('timeline')) {
+                this.playTimeline(timeline).catch(() => {});
+            }
+
+            // Remote control from controller.html: ?remote listens to other
+            // tabs, ?remote=ws://host:8765 also joins a relay
+            const remoteUrl = params.get('remote');
+            if (params.has('remote') || remote) {
+                this.remote = new RemoteControl(this, {
+                    ...(typeof remote === 'object' ? remote : {}),
+                    ...(remoteUrl ? { url: remoteUrl } : {})
+                });
+            }
+        } catch (error) {
+            console.error('Error initializing animation:', error);
+            this.showMessage('<h1>Error initializing 3D animation</h1>');
+        }
+    }
+
+    showMessage(html) {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+            this.container.appendChild(this.overlay);
+        }
+        this.overlay.innerHTML = html;
+    }
+
+    // Subscribes to an event; returns a function that unsubscribes again
+    on(type, listener) {
+        if (!this.eventListeners.has(type)) {
+            this.eventListeners.set(type, new Set());
+        }
+        this.eventListeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.eventListeners.get(type)?.delete(listener);
+    }
+
+    emit(type, detail) {
+        this.eventListeners.get(type)?.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+
+    // Formations this instance offers, in button order
+    getModes() {
+        const names = [...formations.keys()];
+        return this.options.modes ? this.options.modes.filter(name => formations.has(name)) : names;
+    }
+
+    hasMode(name) {
+        return this.getModes().includes(name);
+    }
+
+    getViewportSize() {
+        return {
+            width: this.container.clientWidth || window.innerWidth,
+            height: this.container.clientHeight || window.innerHeight
+        };
+    }
+
+    // Stops rendering and releases everything the instance created: WebGL
+    // resources, audio contexts, DOM listeners and its UI
+    destroy() {
+        if (this.destroyed || !this.renderer) return;
+        this.destroyed = true;
+
+        this.stopLoop();
+        this.remote?.close();
+        this.abortController.abort();
+        this.resizeObserver?.disconnect();
+        clearTimeout(this.stateSaveTimeout);
+        clearTimeout(this.zoomStateTimeout);
+        clearTimeout(this.pointerHoldTimeout);
+        formationListeners.delete(this.onFormationsChanged);
+        effectListeners.delete(this.onEffectsChanged);
+        paletteListeners.delete(this.onPalettesChanged);
+
+        if (this.recorder.recording) this.recorder.stop();
+        this.morph?.resolve(false);
+        this.morph = null;
+        this.cameraRig.stop();
+        this.effects.clear();
+
+        this.audioSystem.dispose();
+        this.audioAnalyser.dispose();
+        this.postProcessing.dispose();
+
+        this.particles.geometry.dispose();
+        this.particles.material.uniforms.uPalette.value.dispose();
+        this.particles.material.dispose();
+        this.starfield.dispose();
+        this.emitters.forEach(emitter => emitter.dispose());
+        if (this.scene.background?.isTexture) this.scene.background.dispose();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+
+        [this.renderer.domElement, this.ui, this.liveRegion, this.hud, this.paletteEditor, this.statusMessage, this.settingsPanel,
+            ...this.container.querySelectorAll('.dynamic-button, .zoom-instructions')]
+            .forEach(element => element?.remove());
+        this.container.classList.remove('particle-animation', 'reduced-motion');
+        this.eventListeners.clear();
+    }
+
+    setupUI() {
+        const ui = document.createElement('div');
+        ui.className = 'ui-controls';
+        this.ui = ui;
+        ui.setAttribute('role', 'toolbar');
+        ui.setAttribute('aria-label', 'Animation controls');
+        const sliderId = `interaction-strength-${++instanceCount}`;
+        ui.innerHTML = `
+            <div class="mode-selector" role="group" aria-label="Formation"></div>
+            <div class="mode-selector effect-selector" role="group" aria-label="Effects"></div>
+            <div class="interaction-control">
+                <label for="${sliderId}">Interaction Strength</label>
+                <input id="${sliderId}" class="interaction-strength" type="range" min="0" max="100"
+                    value="${Math.round(this.interactionStrength * 100)}">
+            </div>
+        `;
+        this.container.appendChild(ui);
+        const slider = ui.querySelector('.interaction-strength');
+        slider.onchange = () => this.setInteractionStrength(slider.value / 100);
+        this.renderModeButtons();
+        this.renderEffectButtons();
+
+        // Screen reader announcements for mode and effect changes
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.liveRegion);
+
+        if (this.options.audio) {
+            this.setupAudioControls(ui);
+        }
+
+        // Bloom, trails and the rest of the post-processing stack
+        const postButton = document.createElement('button');
+        postButton.className = 'sound-toggle post-toggle';
+        postButton.innerHTML = '✨';
+        postButton.title = 'Glow and trails';
+        postButton.setAttribute('aria-label', 'Glow and trails');
+        postButton.setAttribute('aria-pressed', String(this.postProcessing.enabled));
+        postButton.classList.toggle('active', this.postProcessing.enabled);
+        postButton.onclick = () => this.togglePostProcessing();
+        ui.appendChild(postButton);
+
+        // Recording controls: output size, WebM start/stop and PNG frame export
+        const recordControl = document.createElement('div');
+        recordControl.className = 'record-control';
+        recordControl.innerHTML = `
+            <select class="record-resolution" title="Recording resolution" aria-label="Recording resolution">
+                ${Object.keys(RECORDING_RESOLUTIONS).map(key => `<option value="${key}">${key}</option>`).join('')}
+            </select>
+        `;
+        const resolutionSelect = recordControl.querySelector('.record-resolution');
+
+        const recordButton = document.createElement('button');
+        recordButton.className = 'sound-toggle record-toggle';
+        recordButton.innerHTML = '⏺';
+        recordButton.title = 'Record video';
+        recordButton.setAttribute('aria-label', 'Record video');
+        recordButton.setAttribute('aria-pressed', 'false');
+        recordButton.onclick = () => {
+            if (this.recorder.recording) {
+                this.recorder.stop();
+            } else {
+                this.recorder.start({ resolution: resolutionSelect.value });
+            }
+            recordButton.innerHTML = this.recorder.recording ? '⏹' : '⏺';
+            recordButton.classList.toggle('active', this.recorder.recording);
+            recordButton.setAttribute('aria-pressed', String(this.recorder.recording));
+        };
+        recordControl.appendChild(recordButton);
+
+        const framesButton = document.createElement('button');
+        framesButton.className = 'sound-toggle';
+        framesButton.innerHTML = '🎞';
+        framesButton.title = 'Export PNG frames';
+        framesButton.setAttribute('aria-label', 'Export PNG frames');
+        framesButton.onclick = () => this.recorder.exportFrames({ resolution: resolutionSelect.value })
+            .catch(error => console.error('Error exporting frames:', error));
+        recordControl.appendChild(framesButton);
+
+        ui.appendChild(recordControl);
+
+        this.setupPaletteControls(ui);
+        this.setupPresetControls(ui);
+        this.setupCameraControls(ui);
+
+        const settingsButton = document.createElement('button');
+        settingsButton.className = 'sound-toggle settings-toggle';
+        settingsButton.innerHTML = '⚙';
+        settingsButton.title = 'Settings (S)';
+        settingsButton.setAttribute('aria-label', 'Settings');
+        settingsButton.setAttribute('aria-expanded', 'false');
+        settingsButton.onclick = () => this.toggleSettings();
+        ui.appendChild(settingsButton);
+    }
+
+    // Every registered parameter, grouped into collapsible sections, with a
+    // reset button per row and one for everything
+    toggleSettings(visible = !this.settingsPanel || this.settingsPanel.hidden) {
+        if (!this.settingsPanel) {
+            this.settingsPanel = document.createElement('div');
+            this.settingsPanel.className = 'settings-panel';
+            this.settingsPanel.setAttribute('role', 'dialog');
+            this.settingsPanel.setAttribute('aria-label', 'Settings');
+            this.container.appendChild(this.settingsPanel);
+        }
+        if (visible) this.renderSettingsPanel();
+        this.settingsPanel.hidden = !visible;
+        this.container.querySelector('.settings-toggle')?.setAttribute('aria-expanded', String(visible));
+    }
+
+    renderSettingsPanel() {
+        const panel = this.settingsPanel;
+        if (!panel) return;
+
+        const openGroups = new Set([...panel.querySelectorAll('details[open]')].map(details => details.dataset.group));
+        const groups = new Map();
+        this.getParameterSchema().forEach(parameter => {
+            if (!groups.has(parameter.group)) groups.set(parameter.group, []);
+            groups.get(parameter.group).push(parameter);
+        });
+
+        panel.innerHTML = '<button class="settings-reset-all">Reset all</button>';
+        panel.querySelector('.settings-reset-all').onclick = () => this.resetParameters();
+
+        groups.forEach((list, group) => {
+            const details = document.createElement('details');
+            details.dataset.group = group;
+            details.open = openGroups.has(group);
+            details.innerHTML = `<summary>${group}</summary>`;
+
+            list.forEach(parameter => {
+                const row = document.createElement('div');
+                row.className = 'settings-row';
+                row.dataset.key = parameter.key;
+
+                const label = document.createElement('label');
+                label.textContent = parameter.label;
+                let input;
+                if (parameter.type === 'select') {
+                    input = document.createElement('select');
+                    parameter.options.forEach(option => input.add(new Option(option, option)));
+                } else {
+                    input = document.createElement('input');
+                    input.type = parameter.type === 'boolean' ? 'checkbox' : 'range';
+                    if (parameter.type === 'number') {
+                        Object.assign(input, { min: parameter.min, max: parameter.max, step: parameter.step });
+                    }
+                }
+                label.appendChild(input);
+
+                const output = document.createElement('output');
+                const reset = document.createElement('button');
+                reset.textContent = '↺';
+                reset.title = 'Reset to default';
+                reset.setAttribute('aria-label', `Reset ${parameter.label}`);
+                reset.onclick = () => this.resetParameter(parameter.key);
+
+                input.oninput = input.onchange = () => {
+                    const value = parameter.type === 'boolean' ? input.checked
+                        : parameter.type === 'number' ? Number(input.value)
+                        : input.value;
+                    this.setParameter(parameter.key, value);
+                };
+
+                row.append(label, output, reset);
+                details.appendChild(row);
+            });
+            panel.appendChild(details);
+        });
+        this.getParameterSchema().forEach(({ key, value }) => this.updateSettingsRow(key, value));
+    }
+
+    updateSettingsRow(key, value) {
+        const row = this.settingsPanel?.querySelector(`.settings-row[data-key="${key}"]`);
+        if (!row) return;
+
+        const input = row.querySelector('input, select');
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value;
+        }
+        row.querySelector('output').textContent = typeof value === 'number'
+            ? String(Math.round(value * 10000) / 10000)
+            : '';
+    }
+
+    // The parameter schema as plain data: key, group, label, type, range or
+    // options, default and current value
+    getParameterSchema() {
+        return getParameterDefinitions().map(({ get, set, ...parameter }) => ({ ...parameter, value: get(this) }));
+    }
+
+    getParameter(key) {
+        const parameter = getParameterDefinitions().find(entry => entry.key === key);
+        if (!parameter) {
+            console.warn(`Unknown parameter "${key}"`);
+            return undefined;
+        }
+        return parameter.get(this);
+    }
+
+    // Clamps numbers to the parameter's range; returns false for unknown
+    // keys or unusable values
+    setParameter(key, value) {
+        const parameter = getParameterDefinitions().find(entry => entry.key === key);
+        if (!parameter) {
+            console.warn(`Unknown parameter "${key}"`);
+            return false;
+        }
+
+        if (parameter.type === 'number') {
+            value = Number(value);
+            if (!Number.isFinite(value)) return false;
+            value = Math.max(parameter.min, Math.min(parameter.max, value));
+        } else if (parameter.type === 'boolean') {
+            value = value === true || value === 'true';
+        } else if (!parameter.options.includes(value)) {
+            console.warn(`Invalid value for "${key}":`, value);
+            return false;
+        }
+
+        try {
+            parameter.set(this, value);
+        } catch (error) {
+            console.error(`Error setting "${key}":`, error);
+            return false;
+        }
+        this.updateSettingsRow(key, parameter.get(this));
+        this.emit('parameterchange', { key, value: parameter.get(this) });
+        return true;
+    }
+
+    resetParameter(key) {
+        const parameter = getParameterDefinitions().find(entry => entry.key === key);
+        return parameter ? this.setParameter(key, parameter.default) : false;
+    }
+
+    // Resets one group, or everything
+    resetParameters(group) {
+        getParameterDefinitions()
+            .filter(parameter => !group || parameter.group === group)
+            .forEach(parameter => this.setParameter(parameter.key, parameter.default));
+    }
+
+    // Current values by key, e.g. to save and restore a setup
+    getParameters() {
+        return Object.fromEntries(getParameterDefinitions().map(parameter => [parameter.key, parameter.get(this)]));
+    }
+
+    setParameters(values) {
+        Object.entries(values).forEach(([key, value]) => this.setParameter(key, value));
+    }
+
+    setZoomBands(bands) {
+        Object.assign(this.zoomBands, bands);
+        this.updateButtonVisibility(this.zoomLevel);
+    }
+
+    // Sound on/off and the microphone for the audio-reactive mode
+    setupAudioControls(ui) {
+        const soundButton = document.createElement('button');
+        soundButton.className = 'sound-toggle audio-toggle';
+        soundButton.innerHTML = '🔊';
+        soundButton.title = 'Sound (M)';
+        soundButton.setAttribute('aria-label', 'Sound');
+        soundButton.setAttribute('aria-pressed', 'false');
+        soundButton.onclick = () => this.toggleSound();
+        ui.appendChild(soundButton);
+
+        const micButton = document.createElement('button');
+        micButton.className = 'sound-toggle mic-toggle';
+        micButton.innerHTML = '🎤';
+        micButton.title = 'React to microphone';
+        micButton.setAttribute('aria-label', 'React to microphone');
+        micButton.setAttribute('aria-pressed', 'false');
+        micButton.onclick = () => this.toggleMicrophone();
+        ui.appendChild(micButton);
+    }
+
+    // Palette picker, color source and cycle speed, plus an editor for new
+    // palettes
+    setupPaletteControls(ui) {
+        const paletteControl = document.createElement('div');
+        paletteControl.className = 'preset-control palette-control';
+        paletteControl.innerHTML = `
+            <select class="palette-select" title="Palette (P)" aria-label="Palette"></select>
+            <select class="color-source-select" title="Color source" aria-label="Color source">
+                ${COLOR_SOURCES.map(source => `<option value="${source}">${source}</option>`).join('')}
+            </select>
+            <input class="color-cycle-speed" type="range" min="-100" max="100"
+                value="${Math.round(this.colorCycleSpeed * 100)}" title="Color cycle speed" aria-label="Color cycle speed">
+            <button class="sound-toggle" title="Edit palette" aria-label="Edit palette" aria-expanded="false">🎨</button>
+        `;
+
+        const paletteSelect = paletteControl.querySelector('.palette-select');
+        const sourceSelect = paletteControl.querySelector('.color-source-select');
+        const speedSlider = paletteControl.querySelector('.color-cycle-speed');
+        const editButton = paletteControl.querySelector('button');
+
+        sourceSelect.value = this.colorSource;
+        paletteSelect.onchange = () => this.setPalette(paletteSelect.value);
+        sourceSelect.onchange = () => this.setColorSource(sourceSelect.value);
+        speedSlider.oninput = () => this.setColorCycleSpeed(speedSlider.value / 100);
+
+        const editor = this.createPaletteEditor();
+        this.paletteEditor = editor;
+        editButton.onclick = () => {
+            const open = editor.hidden;
+            if (open) this.editPalette(palettes.get(this.palette));
+            editor.hidden = !open;
+            editButton.setAttribute('aria-expanded', String(open));
+            // Closing without saving drops the preview
+            if (!open) this.applyPalette(palettes.get(this.palette));
+        };
+
+        ui.appendChild(paletteControl);
+        this.container.appendChild(editor);
+        this.renderPaletteOptions();
+    }
+
+    createPaletteEditor() {
+        const editor = document.createElement('div');
+        editor.className = 'palette-editor';
+        editor.hidden = true;
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-label', 'Palette editor');
+        editor.innerHTML = `
+            <div class="palette-stops"></div>
+            <button data-action="add">+ Color</button>
+            <label>Background
+                <input type="color" data-background="inner" aria-label="Background center">
+                <input type="color" data-background="outer" aria-label="Background edge">
+            </label>
+            <label><input type="checkbox" data-field="wrap"> Wrap around</label>
+            <input type="text" data-field="label" placeholder="Palette name" aria-label="Palette name">
+            <div class="palette-actions">
+                <button data-action="save">Save</button>
+                <button data-action="export">Export</button>
+                <button data-action="import">Import</button>
+            </div>
+            <input type="file" accept=".json,application/json" hidden>
+        `;
+
+        const fileInput = editor.querySelector('input[type="file"]');
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) {
+                this.importPalettes(fileInput.files[0]).catch(error => console.error('Error importing palettes:', error));
+            }
+            fileInput.value = '';
+        };
+
+        editor.querySelectorAll('[data-background]').forEach(input => {
+            input.oninput = () => {
+                this.paletteDraft.background[input.dataset.background] = input.value;
+                this.previewPaletteDraft();
+            };
+        });
+        editor.querySelector('[data-field="wrap"]').onchange = event => {
+            this.paletteDraft.wrap = event.target.checked;
+            this.previewPaletteDraft();
+        };
+        editor.querySelector('[data-field="label"]').oninput = event => {
+            this.paletteDraft.label = event.target.value;
+        };
+
+        const actions = {
+            add: () => {
+                this.paletteDraft.stops.push(this.paletteDraft.stops.at(-1) ?? '#ffffff');
+                this.renderPaletteStops();
+                this.previewPaletteDraft();
+            },
+            save: () => {
+                const label = this.paletteDraft.label.trim() || 'Custom';
+                const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+                this.savePalette(name, { ...this.paletteDraft, label });
+            },
+            export: () => this.exportPalettes(),
+            import: () => fileInput.click()
+        };
+        editor.querySelectorAll('button[data-action]').forEach(button => {
+            button.onclick = actions[button.dataset.action];
+        });
+
+        return editor;
+    }
+
+    // Loads a palette into the editor as a draft of plain colors
+    editPalette(palette) {
+        const toHex = color => `#${new THREE.Color(color).getHexString()}`;
+        const background = typeof palette.background === 'string'
+            ? { inner: toHex(palette.background), outer: toHex(palette.background) }
+            : { inner: toHex(palette.background.inner), outer: toHex(palette.background.outer) };
+
+        this.paletteDraft = {
+            label: palette.label,
+            stops: palette.stops.map(stop => toHex(stop.color)),
+            background,
+            wrap: palette.wrap
+        };
+
+        const editor = this.container.querySelector('.palette-editor');
+        editor.querySelector('[data-background="inner"]').value = background.inner;
+        editor.querySelector('[data-background="outer"]').value = background.outer;
+        editor.querySelector('[data-field="wrap"]').checked = palette.wrap;
+        editor.querySelector('[data-field="label"]').value = palette.label;
+        this.renderPaletteStops();
+    }
+
+    renderPaletteStops() {
+        const container = this.container.querySelector('.palette-stops');
+        container.innerHTML = '';
+
+        this.paletteDraft.stops.forEach((color, index) => {
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.value = color;
+            input.setAttribute('aria-label', `Color ${index + 1}`);
+            input.oninput = () => {
+                this.paletteDraft.stops[index] = input.value;
+                this.previewPaletteDraft();
+            };
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove color ${index + 1}`);
+            remove.disabled = this.paletteDraft.stops.length === 1;
+            remove.onclick = () => {
+                this.paletteDraft.stops.splice(index, 1);
+                this.renderPaletteStops();
+                this.previewPaletteDraft();
+            };
+
+            container.append(input, remove);
+        });
+    }
+
+    previewPaletteDraft() {
+        this.applyPalette(normalizePalette(this.paletteDraft));
+    }
+
+    // Preset picker with save, delete, export and import
+    setupPresetControls(ui) {
+        const presetControl = document.createElement('div');
+        presetControl.className = 'preset-control';
+        presetControl.innerHTML = `
+            <select class="preset-select" title="Presets" aria-label="Presets"></select>
+            <button class="sound-toggle" data-action="save" title="Save preset" aria-label="Save preset">💾</button>
+            <button class="sound-toggle" data-action="delete" title="Delete preset" aria-label="Delete preset">🗑</button>
+            <button class="sound-toggle" data-action="export" title="Export presets" aria-label="Export presets">⬇</button>
+            <button class="sound-toggle" data-action="import" title="Import presets" aria-label="Import presets">⬆</button>
+            <input type="file" accept=".json,application/json" hidden>
+        `;
+
+        const select = presetControl.querySelector('.preset-select');
+        const fileInput = presetControl.querySelector('input[type="file"]');
+
+        select.onchange = () => {
+            if (select.value) this.loadPreset(select.value);
+        };
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) {
+                this.importPresets(fileInput.files[0]).catch(error => console.error('Error importing presets:', error));
+            }
+            fileInput.value = '';
+        };
+
+        const actions = {
+            save: () => {
+                const name = window.prompt('Preset name', select.value || '');
+                if (name) this.savePreset(name);
+            },
+            delete: () => {
+                if (select.value) this.deletePreset(select.value);
+            },
+            export: () => this.exportPresets(),
+            import: () => fileInput.click()
+        };
+        presetControl.querySelectorAll('button').forEach(button => {
+            button.onclick = actions[button.dataset.action];
+        });
+
+        ui.appendChild(presetControl);
+        this.renderPresetOptions();
+    }
+
+    // Orbit and auto-rotate toggles plus camera views to fly to
+    setupCameraControls(ui) {
+        const cameraControl = document.createElement('div');
+        cameraControl.className = 'preset-control camera-control';
+        cameraControl.innerHTML = `
+            <button class="sound-toggle orbit-toggle" title="Orbit camera (O)" aria-label="Orbit camera" aria-pressed="false">🎥</button>
+            <button class="sound-toggle auto-rotate-toggle" title="Auto-rotate (A)" aria-label="Auto-rotate" aria-pressed="false">🔄</button>
+            <select class="camera-select" title="Camera views" aria-label="Camera views"></select>
+            <button class="sound-toggle" data-action="save" title="Save camera view" aria-label="Save camera view">📌</button>
+        `;
+
+        const select = cameraControl.querySelector('.camera-select');
+        select.onchange = () => {
+            if (select.value) this.applyCameraPreset(select.value);
+        };
+        cameraControl.querySelector('.orbit-toggle').onclick = () => {
+            this.setCameraMode(this.cameraRig.mode === 'orbit' ? 'tilt' : 'orbit');
+        };
+        cameraControl.querySelector('.auto-rotate-toggle').onclick = () => {
+            this.setAutoRotate(!this.cameraRig.autoRotate);
+        };
+        cameraControl.querySelector('[data-action="save"]').onclick = () => {
+            const name = window.prompt('Camera view name', select.value || '');
+            if (name) this.saveCameraPreset(name);
+        };
+
+        ui.appendChild(cameraControl);
+        this.renderCameraOptions();
+    }
+
+    renderCameraOptions(selected = '') {
+        const select = this.container.querySelector('.camera-select');
+        if (!select) return;
+
+        const names = Object.keys(this.getCameraPresets());
+        select.innerHTML = '<option value="">Views</option>';
+        names.forEach(name => select.add(new Option(name, name)));
+        select.value = names.includes(selected) ? selected : '';
+    }
+
+    renderPresetOptions(selected = '') {
+        const select = this.container.querySelector('.preset-select');
+        if (!select) return;
+
+        const names = Object.keys(this.getPresets());
+        select.innerHTML = '<option value="">Presets</option>';
+        names.forEach(name => select.add(new Option(name, name)));
+        select.value = names.includes(selected) ? selected : '';
+    }
+
+    isSoundOn() {
+        return this.audioSystem.initialized && this.audioSystem.context.state === 'running';
+    }
+
+    // Browsers only start audio from a user gesture, so a restored "sound on"
+    // waits for the first click, tap or key press
+    resumeSoundOnInteraction() {
+        const resume = () => {
+            window.removeEventListener('pointerdown', resume, true);
+            window.removeEventListener('keydown', resume, true);
+            if (!this.isSoundOn()) this.toggleSound();
+        };
+        const { signal } = this.abortController;
+        window.addEventListener('pointerdown', resume, { capture: true, signal });
+        window.addEventListener('keydown', resume, { capture: true, signal });
+    }
+
+    getState() {
+        return {
+            mode: this.particleMode,
+            interactionStrength: this.interactionStrength,
+            zoom: Math.round(this.zoomLevel * 100) / 100,
+            sound: this.isSoundOn(),
+            seed: this.seed,
+            palette: this.palette,
+            colorSource: this.colorSource,
+            colorCycleSpeed: this.colorCycleSpeed
+        };
+    }
+
+    setState(rawState) {
+        const state = sanitizeState(rawState);
+
+        if (state.seed !== undefined && state.seed !== this.seed) {
+            this.setSeed(state.seed);
+        }
+        if (state.mode !== undefined && this.hasMode(state.mode)) {
+            this.setMode(state.mode);
+        }
+        if (state.interactionStrength !== undefined) {
+            this.setInteractionStrength(state.interactionStrength);
+        }
+        if (state.zoom !== undefined) {
+            this.setZoom(state.zoom);
+        }
+        if (state.palette !== undefined && palettes.has(state.palette)) {
+            this.setPalette(state.palette);
+        }
+        if (state.colorSource !== undefined) {
+            this.setColorSource(state.colorSource);
+        }
+        if (state.colorCycleSpeed !== undefined) {
+            this.setColorCycleSpeed(state.colorCycleSpeed);
+        }
+        if (state.sound !== undefined && state.sound !== this.isSoundOn() && this.options.audio) {
+            if (state.sound && !this.audioSystem.initialized) {
+                this.resumeSoundOnInteraction();
+            } else {
+                this.toggleSound();
+            }
+        }
     }
 
-    async init() {
-        if (this.initialized) return;
-        
-        try {
-            this.context = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create main gain node
-            this.masterGain = this.context.createGain();
-            this.masterGain.gain.value = 0.15; // Reduced initial volume
-            this.masterGain.connect(this.context.destination);
+    loadInitialState() {
+        if (!this.options.persist) return {};
+        const hashState = Object.fromEntries(new URLSearchParams(window.location.hash.slice(1)));
+        return { ...sanitizeState(readStorage(STATE_STORAGE_KEY, {})), ...sanitizeState(hashState) };
+    }
 
-            await this.setupSounds();
-            this.initialized = true;
-            console.log('Audio system initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize audio system:', error);
+    // Announces the change right away, then (debounced) mirrors the scene into
+    // the URL hash and the autosave
+    persistState() {
+        this.emit('statechange', this.getState());
+        if (!this.options.persist) return;
+        clearTimeout(this.stateSaveTimeout);
+        this.stateSaveTimeout = setTimeout(() => {
+            const state = this.getState();
+            writeStorage(STATE_STORAGE_KEY, state);
+
+            // The hash carries the seed from here on, replacing any ?seed=
+            const url = new URL(window.location.href);
+            url.searchParams.delete('seed');
+            url.hash = new URLSearchParams(Object.entries(state).map(([key, value]) => [key, String(value)])).toString();
+            window.history.replaceState(null, '', url);
+        }, 300);
+    }
+
+    onHashChange() {
+        this.setState(Object.fromEntries(new URLSearchParams(window.location.hash.slice(1))));
+    }
+
+    // Instances with persist off keep saved things to themselves, in memory
+    // for as long as they live, instead of sharing the page's localStorage
+    loadStored(key, fallback) {
+        if (this.options.persist) return readStorage(key, fallback);
+        return this.memoryStorage.has(key) ? JSON.parse(this.memoryStorage.get(key)) : fallback;
+    }
+
+    store(key, value) {
+        if (this.options.persist) {
+            writeStorage(key, value);
+        } else {
+            this.memoryStorage.set(key, JSON.stringify(value));
         }
     }
 
-    async setupSounds() {
-        // Create reverb effect
-        const reverbNode = await this.createReverb();
-        
-        // Ambient pad sound
-        const pad = this.context.createOscillator();
-        const padGain = this.context.createGain();
-        pad.type = 'sine';
-        pad.frequency.value = 220; // A3 note
-        padGain.gain.value = 0.05;
-        pad.connect(padGain);
-        padGain.connect(reverbNode);
-        reverbNode.connect(this.masterGain);
-        this.oscillators.pad = pad;
-        this.gainNodes.pad = padGain;
+    getPresets() {
+        return this.loadStored(PRESETS_STORAGE_KEY, {});
+    }
 
-        // Mode-specific oscillators with harmonics
-        const modes = {
-            sphere: [
-                { freq: 329.63, type: 'sine', gain: 0.1 },     // E4
-                { freq: 392.00, type: 'sine', gain: 0.05 }     // G4
-            ],
-            cube: [
-                { freq: 261.63, type: 'square', gain: 0.08 },  // C4
-                { freq: 329.63, type: 'square', gain: 0.04 }   // E4
-            ],
-            tornado: [
-                { freq: 392.00, type: 'sawtooth', gain: 0.08 }, // G4
-                { freq: 493.88, type: 'sawtooth', gain: 0.04 }  // B4
-            ]
-        };
-
-        // Create oscillators for each mode with harmonics
-        Object.entries(modes).forEach(([mode, harmonics]) => {
-            this.oscillators[mode] = [];
-            this.gainNodes[mode] = [];
-            
-            harmonics.forEach((harmonic, i) => {
-                const osc = this.context.createOscillator();
-                const gain = this.context.createGain();
-                
-                osc.type = harmonic.type;
-                osc.frequency.value = harmonic.freq;
-                gain.gain.value = 0; // Start silent
-                
-                osc.connect(gain);
-                gain.connect(reverbNode);
-                
-                this.oscillators[mode].push(osc);
-                this.gainNodes[mode].push(gain);
+    savePreset(name) {
+        const presets = this.getPresets();
+        presets[name] = this.getState();
+        this.store(PRESETS_STORAGE_KEY, presets);
+        this.renderPresetOptions(name);
+    }
+
+    loadPreset(name) {
+        const preset = this.getPresets()[name];
+        if (!preset) {
+            console.warn(`Unknown preset "${name}"`);
+            return false;
+        }
+        this.setState(preset);
+        this.renderPresetOptions(name);
+        return true;
+    }
+
+    deletePreset(name) {
+        const presets = this.getPresets();
+        delete presets[name];
+        this.store(PRESETS_STORAGE_KEY, presets);
+        this.renderPresetOptions();
+    }
+
+    exportPresets() {
+        const json = JSON.stringify({ presets: this.getPresets() }, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'particle-presets.json');
+    }
+
+    // Accepts an exported { presets: {...} } file or a single scene state,
+    // which is saved under the file's name
+    async importPresets(file) {
+        const data = JSON.parse(await file.text());
+        const presets = this.getPresets();
+
+        if (data && typeof data.presets === 'object') {
+            Object.entries(data.presets).forEach(([name, state]) => {
+                presets[name] = sanitizeState(state);
             });
-        });
+        } else {
+            presets[file.name.replace(/\.json$/i, '')] = sanitizeState(data);
+        }
+
+        this.store(PRESETS_STORAGE_KEY, presets);
+        this.renderPresetOptions();
+    }
 
-        // Start all oscillators
-        this.oscillators.pad.start();
-        Object.values(this.oscillators).flat().forEach(osc => {
-            if (osc !== this.oscillators.pad) osc.start();
+    loadCustomPalettes() {
+        Object.entries(this.getCustomPalettes()).forEach(([name, definition]) => {
+            try {
+                registerPalette(name, definition);
+            } catch (error) {
+                console.warn(`Skipping saved palette "${name}":`, error);
+            }
         });
     }
 
-    async createReverb() {
-        const convolver = this.context.createConvolver();
-        const reverbTime = 2;
-        const sampleRate = this.context.sampleRate;
-        const length = sampleRate * reverbTime;
-        const impulse = this.context.createBuffer(2, length, sampleRate);
-        
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (sampleRate * 0.1));
+    getCustomPalettes() {
+        return this.loadStored(PALETTES_STORAGE_KEY, {});
+    }
+
+    // Registers the palette and switches to it. It is kept for later visits
+    // only once it has been applied, so a broken palette can't be restored.
+    // Saved palettes can be overwritten; built-in and registered ones can't,
+    // so the name gets a suffix instead. Returns the name it was saved under.
+    savePalette(name, definition) {
+        const custom = this.getCustomPalettes();
+        if (palettes.has(name) && !Object.hasOwn(custom, name)) {
+            name = uniqueName(palettes, name);
+        }
+
+        const previous = palettes.get(name);
+        registerPalette(name, definition);
+        if (!this.setPalette(name)) {
+            if (previous) {
+                palettes.set(name, previous);
+            } else {
+                palettes.delete(name);
             }
+            paletteListeners.forEach(listener => listener(name));
+            throw new Error(`Palette "${name}" could not be applied`);
         }
-        
-        convolver.buffer = impulse;
-        return convolver;
+
+        const { label, stops, background, wrap } = palettes.get(name);
+        custom[name] = { label, stops: stops.map(stop => [stop.position, stop.color]), background, wrap };
+        this.store(PALETTES_STORAGE_KEY, custom);
+        return name;
     }
 
-    setMode(mode) {
-        if (!this.initialized) return;
+    exportPalettes() {
+        const json = JSON.stringify({ palettes: this.getCustomPalettes() }, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'particle-palettes.json');
+    }
 
-        // Fade out all mode oscillators
-        Object.entries(this.gainNodes).forEach(([key, gains]) => {
-            if (Array.isArray(gains)) {
-                gains.forEach(gain => {
-                    gain.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
-                });
+    // Accepts an exported { palettes: {...} } file or a single palette,
+    // which is saved under the file's name
+    async importPalettes(file) {
+        const data = JSON.parse(await file.text());
+        const entries = data && typeof data.palettes === 'object'
+            ? Object.entries(data.palettes)
+            : [[file.name.replace(/\.json$/i, ''), data]];
+
+        entries.forEach(([name, definition]) => {
+            try {
+                this.savePalette(name, definition);
+            } catch (error) {
+                console.warn(`Skipping palette "${name}":`, error);
             }
         });
+    }
 
-        // Fade in the selected mode
-        if (this.gainNodes[mode]) {
-            this.gainNodes[mode].forEach((gain, i) => {
-                const targetGain = this.oscillators[mode][i].type === 'sine' ? 0.1 : 0.08;
-                gain.gain.setTargetAtTime(targetGain, this.context.currentTime, 0.1);
-            });
+    setPalette(name) {
+        const palette = palettes.get(name);
+        if (!palette) {
+            console.warn(`Unknown palette "${name}"`);
+            return false;
+        }
+
+        try {
+            this.applyPalette(palette);
+        } catch (error) {
+            console.error(`Error applying palette "${name}":`, error);
+            // Back to the palette that was showing
+            if (name !== this.palette) this.applyPalette(palettes.get(this.palette));
+            return false;
         }
+        this.palette = name;
+        this.backgroundOverride = null;
+        this.renderPaletteOptions();
+        this.announce(`${palette.label} palette`);
+        this.persistState();
+        return true;
     }
 
-    updateWithMovement(x, y) {
-        if (!this.initialized) return;
+    // Also used to preview unsaved edits
+    applyPalette(palette) {
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uPalette.value.dispose();
+        uniforms.uPalette.value = createPaletteTexture(palette);
+        uniforms.uPaletteWrap.value = palette.wrap ? 1 : 0;
+        this.applyBackground(palette.background);
+    }
 
-        Object.entries(this.oscillators).forEach(([mode, oscillators]) => {
-            if (Array.isArray(oscillators)) {
-                oscillators.forEach(osc => {
-                    const baseFreq = osc.frequency.value;
-                    const freqOffset = (x * 10) + (y * 10); // Reduced modulation amount
-                    osc.frequency.setTargetAtTime(baseFreq + freqOffset, this.context.currentTime, 0.1);
-                });
-            }
-        });
+    // 'angle', 'height', 'distance', 'speed', 'depth' or 'index'
+    setColorSource(source) {
+        if (!COLOR_SOURCES.includes(source)) {
+            console.warn(`Unknown color source "${source}"`);
+            return;
+        }
+
+        this.colorSource = source;
+        this.particles.material.uniforms.uColorSource.value = COLOR_SOURCES.indexOf(source);
+        const select = this.container.querySelector('.color-source-select');
+        if (select) select.value = source;
+        this.persistState();
     }
 
-    updateWithZoom(zoomLevel) {
-        if (!this.initialized) return;
-        
-        const normalizedZoom = 1 - (zoomLevel - 1) / 4;
-        this.masterGain.gain.setTargetAtTime(0.15 * normalizedZoom, this.context.currentTime, 0.1);
+    // Palette cycles per second; negative values run backwards
+    setColorCycleSpeed(speed) {
+        this.colorCycleSpeed = speed;
+        this.particles.material.uniforms.uColorCycleSpeed.value = speed;
+        const slider = this.container.querySelector('.color-cycle-speed');
+        if (slider) slider.value = Math.round(speed * 100);
+        this.persistState();
     }
 
-    suspend() {
-        if (this.context && this.context.state === 'running') {
-            this.context.suspend();
-            return true;
+    // A color or { inner, outer } gradient that replaces the palette's own
+    // background until the palette changes; null goes back to it
+    setBackground(background) {
+        this.backgroundOverride = background;
+        this.applyBackground();
+    }
+
+    applyBackground(background = this.backgroundOverride ?? palettes.get(this.palette).background) {
+        if (this.scene.background?.isTexture) {
+            this.scene.background.dispose();
         }
-        return false;
+        this.scene.background = createBackground(background);
     }
 
-    async resume() {
-        if (!this.initialized) {
-            await this.init();
+    onPalettesChanged(name) {
+        if (name === this.palette && this.particles && palettes.has(name)) {
+            try {
+                this.applyPalette(palettes.get(name));
+            } catch (error) {
+                console.error(`Error applying palette "${name}":`, error);
+            }
         }
-        if (this.context && this.context.state === 'suspended') {
-            await this.context.resume();
-            return true;
+        this.renderPaletteOptions();
+    }
+
+    renderPaletteOptions() {
+        const select = this.container.querySelector('.palette-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+        palettes.forEach(palette => select.add(new Option(palette.label, palette.name)));
+        select.value = this.palette;
+    }
+
+    togglePostProcessing(enabled = !this.postProcessing.enabled) {
+        this.postProcessing.setEnabled(enabled);
+        const postButton = this.container.querySelector('.post-toggle');
+        postButton?.classList.toggle('active', enabled);
+        postButton?.setAttribute('aria-pressed', String(enabled));
+    }
+
+    async toggleMicrophone() {
+        if (!this.options.audio) return;
+        const micButton = this.container.querySelector('.mic-toggle');
+        try {
+            if (this.audioAnalyser.stream) {
+                this.audioAnalyser.stop();
+            } else {
+                await this.audioAnalyser.useMicrophone();
+            }
+        } catch (error) {
+            console.error('Error toggling microphone:', error);
         }
-        return false;
+        micButton?.classList.toggle('active', !!this.audioAnalyser.stream);
+        micButton?.setAttribute('aria-pressed', String(!!this.audioAnalyser.stream));
     }
-}
 
-class ParticleAnimation {
-    constructor() {
-        if (!this.checkWebGLSupport()) {
-            document.querySelector('.overlay').innerHTML = '<h1>WebGL is not supported on your browser</h1>';
+    async useAudioFile(source) {
+        if (!this.options.audio) return;
+        try {
+            await this.audioAnalyser.useFile(source);
+        } catch (error) {
+            console.error('Error playing audio file:', error);
+            throw error;
+        }
+        this.container.querySelector('.mic-toggle')?.classList.remove('active');
+    }
+
+    // Sets how strongly a band ('bass', 'mid', 'treble') drives a visual
+    // parameter ('displacement', 'size', 'hue', 'cameraPulse')
+    setAudioMapping(parameter, band, amount) {
+        if (!this.audioMappings[parameter] || !(band in AUDIO_BANDS)) {
+            console.warn(`Unknown audio mapping ${parameter}.${band}`);
             return;
         }
+        this.audioMappings[parameter][band] = amount;
+    }
+
+    updateAudioReactive(elapsedTime) {
+        const levels = this.audioAnalyser.update(elapsedTime);
+        const uniforms = this.particles.material.uniforms;
+        const mapped = parameter => Object.entries(this.audioMappings[parameter])
+            .reduce((sum, [band, amount]) => sum + levels[band] * amount, 0);
+
+        uniforms.uAudioDisplacement.value = mapped('displacement');
+        uniforms.uAudioSize.value = mapped('size');
+        uniforms.uAudioHue.value = mapped('hue');
+
+        // The pulse is kept as an offset so wheel zoom stays independent
+        this.cameraPulse = this.reducedMotion ? 0 : -mapped('cameraPulse');
+
+        if (levels.beat && this.beatTriggersExplosion) {
+            this.playEffect('expand', { policy: 'ignore' });
+        }
+    }
 
-        try {
-            this.container = document.querySelector('#scene-container');
-            this.scene = new THREE.Scene();
-            this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
-            this.renderer = new THREE.WebGLRenderer({ 
-                antialias: true,
-                powerPreference: "high-performance"
+    renderModeButtons() {
+        const modeSelector = this.container.querySelector('.mode-selector');
+        if (!modeSelector) return;
+
+        modeSelector.innerHTML = '';
+        this.getModes().forEach((name, index) => {
+            const formation = formations.get(name);
+            const button = document.createElement('button');
+            button.textContent = formation.label;
+            button.dataset.mode = formation.name;
+            if (index < 9) button.title = `${formation.label} (${index + 1})`;
+            button.onclick = () => this.setMode(formation.name);
+            modeSelector.appendChild(button);
+        });
+        this.updateModeButtons();
+    }
+
+    updateModeButtons() {
+        this.container.querySelectorAll('.mode-selector button[data-mode]').forEach(button => {
+            const current = button.dataset.mode === this.particleMode;
+            button.classList.toggle('active', current);
+            button.setAttribute('aria-pressed', String(current));
+        });
+    }
+
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clearing first makes repeated messages get read again
+        this.liveRegion.textContent = '';
+        requestAnimationFrame(() => {
+            this.liveRegion.textContent = message;
+        });
+    }
+
+    onEffectStart(effect) {
+        this.announce(`${effect.definition.label} effect`);
+        this.emit('effectstart', { name: effect.name });
+    }
+
+    onEffectEnd(effect, completed) {
+        this.emit('effectend', { name: effect.name, completed });
+    }
+
+    onFormationsChanged(name) {
+        this.formationTargets.delete(name);
+        if (this.particles) {
+            this.particles.material.vertexShader = buildParticleVertexShader();
+            this.particles.material.needsUpdate = true;
+            if (name === this.particleMode) {
+                this.setMode(name);
+            }
+        }
+        this.renderModeButtons();
+    }
+
+    renderEffectButtons() {
+        const effectSelector = this.container.querySelector('.effect-selector');
+        if (!effectSelector) return;
+
+        effectSelector.innerHTML = '';
+        effects.forEach(effect => {
+            if (!effect.button) return;
+            const button = document.createElement('button');
+            button.textContent = effect.label;
+            button.onclick = () => this.playEffect(effect.name);
+            effectSelector.appendChild(button);
+        });
+    }
+
+    onEffectsChanged() {
+        if (this.particles) {
+            const material = this.particles.material;
+            Object.entries(createEffectUniforms()).forEach(([name, uniform]) => {
+                if (!(name in material.uniforms)) material.uniforms[name] = uniform;
             });
-            this.clock = new THREE.Clock();
-            this.mouse = new THREE.Vector2();
-            this.targetRotation = new THREE.Vector2();
-            this.colorCycle = 0;
-            this.particleMode = 'sphere';
-            this.interactionStrength = 0.5;
-            
-            // Initialize audio system
-            this.audioSystem = new AudioSystem();
-            
-            this.camera.position.z = 2.5; // Set initial zoom to middle range
-            this.zoomLevel = 2.5;
-            this.explosionParticles = null;
-            this.implosionActive = false;
-            
-            this.init();
-            this.setupParticles();
-            this.addEventListeners();
-            this.setupUI();
-            this.setupDynamicButtons();
-            this.animate();
+            material.vertexShader = buildParticleVertexShader();
+            material.needsUpdate = true;
+        }
+        this.renderEffectButtons();
+        if (this.settingsPanel && !this.settingsPanel.hidden) this.renderSettingsPanel();
+    }
+
+    async toggleSound() {
+        if (!this.options.audio) return;
+        try {
+            if (!this.audioSystem.initialized || this.audioSystem.context?.state === 'suspended') {
+                await this.audioSystem.resume();
+                // Set initial mode
+                this.audioSystem.setMode(this.particleMode);
+            } else {
+                await this.audioSystem.context.suspend();
+            }
         } catch (error) {
-            console.error('Error initializing animation:', error);
-            document.querySelector('.overlay').innerHTML = '<h1>Error initializing 3D animation</h1>';
+            console.error('Error toggling sound:', error);
+        }
+        const soundButton = this.container.querySelector('.audio-toggle');
+        if (soundButton) {
+            soundButton.innerHTML = this.isSoundOn() ? '🔊' : '🔈';
+            soundButton.setAttribute('aria-pressed', String(this.isSoundOn()));
         }
+        this.announce(this.isSoundOn() ? 'Sound on' : 'Sound off');
+        this.persistState();
     }
 
-    setupUI() {
-        const ui = document.createElement('div');
-        ui.className = 'ui-controls';
-        ui.innerHTML = `
-            <div class="mode-selector">
-                <button onclick="window.particleInstance.setMode('sphere')">Sphere</button>
-                <button onclick="window.particleInstance.setMode('cube')">Cube</button>
-                <button onclick="window.particleInstance.setMode('tornado')">Tornado</button>
-            </div>
-            <div class="interaction-control">
-                <label>Interaction Strength</label>
-                <input type="range" min="0" max="100" value="50" 
-                    onchange="window.particleInstance.setInteractionStrength(this.value / 100)">
-            </div>
-        `;
-        document.body.appendChild(ui);
-        window.particleInstance = this;
+    // Morphs into the new formation; resolves true when the morph completes
+    // or false if another mode switch interrupts it
+    setMode(mode) {
+        const formation = formations.get(mode);
+        if (!formation || !this.hasMode(mode)) {
+            console.warn(`Unknown formation "${mode}"`);
+            return Promise.resolve(false);
+        }
 
-        // Add sound toggle button with initial state
-        const soundButton = document.createElement('button');
-        soundButton.className = 'sound-toggle';
-        soundButton.innerHTML = '🔊';
-        soundButton.onclick = () => this.toggleSound();
-        ui.appendChild(soundButton);
+        const uniforms = this.particles.material.uniforms;
+        const attributes = this.particles.geometry.attributes;
+
+        // Restart from wherever the particles (and their colors) are right now
+        const progress = uniforms.uMorphProgress.value;
+        [[attributes.aSource, attributes.position], [attributes.aSourceColor, attributes.aColor]]
+            .forEach(([sourceAttribute, targetAttribute]) => {
+                const sources = sourceAttribute.array;
+                const targets = targetAttribute.array;
+                for (let i = 0; i < sources.length; i++) {
+                    sources[i] += (targets[i] - sources[i]) * progress;
+                }
+                sourceAttribute.needsUpdate = true;
+            });
+
+        if (this.morph) {
+            this.morph.resolve(false);
+        }
+
+        uniforms.uFromMode.value = progress < 0.5 ? uniforms.uFromMode.value : uniforms.uMode.value;
+        uniforms.uMode.value = formation.index;
+        uniforms.uMorphProgress.value = 0;
+
+        const previous = this.particleMode;
+        this.particleMode = mode;
+        this.updateParticlePositions();
+        this.audioSystem.setMode(mode);
+        this.updateModeButtons();
+        this.announce(`${formation.label} formation`);
+        this.persistState();
+        this.emit('modechange', { mode, previous });
+
+        return new Promise(resolve => {
+            this.morph = {
+                startTime: this.simulation.time,
+                duration: this.morphDuration,
+                resolve
+            };
+        });
+    }
+
+    updateMorph(elapsedTime) {
+        if (!this.morph) return;
+
+        const progress = Math.min((elapsedTime - this.morph.startTime) / this.morph.duration, 1);
+        this.particles.material.uniforms.uMorphProgress.value = easeInOutCubic(progress);
+
+        if (progress >= 1) {
+            const { resolve } = this.morph;
+            this.morph = null;
+            resolve(true);
+        }
+    }
+
+    setInteractionStrength(strength) {
+        this.interactionStrength = strength;
+
+        const slider = this.container.querySelector('.interaction-control input');
+        if (slider) slider.value = Math.round(strength * 100);
+        this.persistState();
+    }
+
+    updateParticlePositions() {
+        const { position, aColor } = this.particles.geometry.attributes;
+        const targets = this.getFormationTargets(this.particleMode);
+
+        position.array.set(targets.positions);
+        position.needsUpdate = true;
+
+        if (targets.colors) {
+            aColor.array.set(targets.colors);
+        } else {
+            aColor.array.fill(0);
+        }
+        aColor.needsUpdate = true;
+    }
+
+    // Returns the cached slot buffers for a formation, building them on first
+    // use. colors is null unless the formation's position() returns r, g, b.
+    getFormationTargets(mode) {
+        const particleCount = this.particleCount;
+        let targets = this.formationTargets.get(mode);
+
+        if (!targets || targets.positions.length !== particleCount * 3) {
+            const formation = formations.get(mode);
+            const rng = createRandom(this.seed ^ hashString(mode));
+            targets = { positions: new Float32Array(particleCount * 3), colors: null };
+
+            for (let i = 0; i < particleCount; i++) {
+                const position = formation.position(i, particleCount, rng);
+                targets.positions[i * 3] = position.x;
+                targets.positions[i * 3 + 1] = position.y;
+                targets.positions[i * 3 + 2] = position.z;
+
+                if (position.r !== undefined) {
+                    targets.colors = targets.colors || new Float32Array(particleCount * 4);
+                    targets.colors[i * 4] = position.r;
+                    targets.colors[i * 4 + 1] = position.g;
+                    targets.colors[i * 4 + 2] = position.b;
+                    targets.colors[i * 4 + 3] = 1;
+                }
+            }
+            this.formationTargets.set(mode, targets);
+        }
+
+        return targets;
+    }
+
+    // Turns an OBJ, PLY, glTF/GLB or XYZ/CSV point list (File or URL) into a
+    // formation sampled from its surface and morphs into it. Without a name
+    // it is named after the file, suffixed if a formation has that name.
+    async importModel(source, { name, useColors = true } = {}) {
+        try {
+            const sampler = await loadModelSampler(source, { useColors });
+            const formationName = name || uniqueName(formations, sampler.name);
+
+            registerFormation(formationName, {
+                label: formationName,
+                position: (idx, total, rng) => sampler.sample(rng),
+                // Slow turntable so the model reads from every side
+                idleMotion: `
+                    float angle = atan(pos.z, pos.x) + t * 0.2;
+                    float radius = length(pos.xz);
+                    pos.x = cos(angle) * radius;
+                    pos.z = sin(angle) * radius;
+                `
+            });
+
+            return this.setMode(formationName);
+        } catch (error) {
+            console.error('Error importing model:', error);
+            throw error;
+        }
     }
 
-    async toggleSound() {
+    // Lays the particles out along rendered text. Without a color option the
+    // particles keep the hue cycle.
+    async createTextFormation(text, { name = 'text', font, color } = {}) {
         try {
-            if (!this.audioSystem.initialized || this.audioSystem.context?.state === 'suspended') {
-                const success = await this.audioSystem.resume();
-                document.querySelector('.sound-toggle').innerHTML = success ? '🔊' : '🔈';
-                if (success) {
-                    // Set initial mode
-                    this.audioSystem.setMode(this.particleMode);
-                }
-            } else {
-                const success = this.audioSystem.suspend();
-                document.querySelector('.sound-toggle').innerHTML = success ? '🔈' : '🔊';
-            }
+            const sample = await createTextSampler(text, { font, color });
+            registerFormation(name, {
+                label: text,
+                position: (idx, total, rng) => sample(rng),
+                idleMotion: FLAT_IDLE_MOTION
+            });
+            return this.setMode(name);
         } catch (error) {
-            console.error('Error toggling sound:', error);
+            console.error('Error creating text formation:', error);
+            throw error;
         }
     }
 
-    setMode(mode) {
-        this.particleMode = mode;
-        this.updateParticlePositions();
-        this.audioSystem.setMode(mode);
-    }
+    // Samples particles from an image (File, Blob or URL) and colors them from
+    // its pixels
+    async importImage(source, { name, useColors, threshold } = {}) {
+        try {
+            const sample = await createImageSampler(source, { useColors, threshold });
+            const fileName = typeof source === 'string' ? source.split('/').pop() : source.name || 'image';
+            // Named after the file, suffixed if a formation has that name
+            const formationName = name || uniqueName(formations, fileName.replace(/\.[^.]+$/, ''));
 
-    setInteractionStrength(strength) {
-        this.interactionStrength = strength;
+            registerFormation(formationName, {
+                label: formationName,
+                position: (idx, total, rng) => sample(rng),
+                idleMotion: FLAT_IDLE_MOTION
+            });
+            return this.setMode(formationName);
+        } catch (error) {
+            console.error('Error importing image:', error);
+            throw error;
+        }
     }
 
-    updateParticlePositions() {
-        const positions = this.particles.geometry.attributes.position.array;
-        const particleCount = positions.length / 3;
-
-        for (let i = 0; i < positions.length; i += 3) {
-            const idx = i / 3;
-            const position = this.calculateParticlePosition(idx, particleCount);
-            positions[i] = position.x;
-            positions[i + 1] = position.y;
-            positions[i + 2] = position.z;
-        }
-
-        this.particles.geometry.attributes.position.needsUpdate = true;
-    }
-
-    calculateParticlePosition(idx, total) {
-        switch (this.particleMode) {
-            case 'sphere': {
-                const radius = 1;
-                const theta = Math.random() * Math.PI * 2;
-                const phi = Math.acos((Math.random() * 2) - 1);
-                return {
-                    x: radius * Math.sin(phi) * Math.cos(theta),
-                    y: radius * Math.sin(phi) * Math.sin(theta),
-                    z: radius * Math.cos(phi)
-                };
-            }
-            case 'cube': {
-                return {
-                    x: (Math.random() - 0.5) * 2,
-                    y: (Math.random() - 0.5) * 2,
-                    z: (Math.random() - 0.5) * 2
-                };
-            }
-            case 'tornado': {
-                const angle = (idx / total) * Math.PI * 20;
-                const radius = (idx / total) * 1.5;
-                return {
-                    x: Math.cos(angle) * radius,
-                    y: (idx / total) * 4 - 2,
-                    z: Math.sin(angle) * radius
-                };
-            }
-        }
+    // Rebuilds every layout from the new seed and morphs into it
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.formationTargets.clear();
+        this.starfield.build();
+        return this.setMode(this.particleMode);
     }
 
     checkWebGLSupport() {
@@ -323,58 +4961,85 @@ class ParticleAnimation {
     init() {
         if (!this.renderer || !this.container) return;
         
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        const { width, height } = this.getViewportSize();
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.container.appendChild(this.renderer.domElement);
+        this.watchContext(this.renderer.domElement);
         
-        this.camera.position.z = 2;
-        this.scene.background = new THREE.Color(0x000000);
+        this.applyBackground();
 
         // Add ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
         this.scene.add(ambientLight);
     }
 
+    // Particles resting in the current formation
+    createParticleGeometry() {
+        const particleCount = this.particleCount;
+        const geometry = new THREE.BufferGeometry();
+        const targets = this.getFormationTargets(this.particleMode);
+        const positions = targets.positions.slice();
+        const colors = targets.colors ? targets.colors.slice() : new Float32Array(particleCount * 4);
+        const sizes = new Float32Array(particleCount);
+        const indices = new Float32Array(particleCount);
+
+        // Per-particle size variation, seeded like the layouts
+        const rng = createRandom(this.seed);
+        for (let i = 0; i < particleCount; i++) {
+            sizes[i] = rng() * 0.02 + 0.01;
+            indices[i] = i / particleCount;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aSource', new THREE.BufferAttribute(positions.slice(), 3));
+        geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 4));
+        geometry.setAttribute('aSourceColor', new THREE.BufferAttribute(colors.slice(), 4));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('aIndex', new THREE.BufferAttribute(indices, 1));
+        return geometry;
+    }
+
     setupParticles() {
         try {
-            const particleCount = this.calculateOptimalParticleCount();
-            const geometry = new THREE.BufferGeometry();
-            const positions = new Float32Array(particleCount * 3);
-            const colors = new Float32Array(particleCount * 3);
-            const sizes = new Float32Array(particleCount);
+            const geometry = this.createParticleGeometry();
 
-            for (let i = 0; i < particleCount; i++) {
-                const i3 = i * 3;
-                const position = this.calculateParticlePosition(i, particleCount);
-                positions[i3] = position.x;
-                positions[i3 + 1] = position.y;
-                positions[i3 + 2] = position.z;
-
-                // Dynamic size based on position
-                sizes[i] = Math.random() * 0.02 + 0.01;
-
-                // Initial color
-                const hue = Math.random();
-                const color = new THREE.Color().setHSL(hue, 0.8, 0.5);
-                colors[i3] = color.r;
-                colors[i3 + 1] = color.g;
-                colors[i3 + 2] = color.b;
-            }
-
-            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-            geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-
-            const material = new THREE.PointsMaterial({
-                size: 0.02,
-                vertexColors: true,
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    uTime: { value: 0 },
+                    uMode: { value: formations.get(this.particleMode).index },
+                    uFromMode: { value: formations.get(this.particleMode).index },
+                    uMorphProgress: { value: 1 },
+                    uScale: { value: this.renderer.domElement.height * 0.5 },
+                    uSizeScale: { value: 1 },
+                    uAudioDisplacement: { value: 0 },
+                    uAudioSize: { value: 0 },
+                    uAudioHue: { value: 0 },
+                    uMotionScale: { value: this.reducedMotion ? 0.3 : 1 },
+                    uIdleAmplitude: { value: 1 },
+                    uPointer: { value: new THREE.Vector3() },
+                    uPointerStrength: { value: 0 },
+                    uPointerRadius: { value: this.pointerField.radius },
+                    uPointerFalloff: { value: this.pointerField.falloff },
+                    uPalette: { value: createPaletteTexture(palettes.get(this.palette)) },
+                    uColorSource: { value: COLOR_SOURCES.indexOf(this.colorSource) },
+                    uColorCycleSpeed: { value: this.colorCycleSpeed },
+                    uPaletteWrap: { value: palettes.get(this.palette).wrap ? 1 : 0 },
+                    uFocusDistance: { value: this.zoomLevel },
+                    uAperture: { value: 0 },
+                    uOpacity: { value: 0.8 },
+                    ...createEffectUniforms()
+                },
+                vertexShader: buildParticleVertexShader(),
+                fragmentShader: PARTICLE_FRAGMENT_SHADER,
                 blending: THREE.AdditiveBlending,
                 transparent: true,
-                opacity: 0.8,
-                sizeAttenuation: true
+                depthWrite: false
             });
 
             this.particles = new THREE.Points(geometry, material);
+            // Vertices are displaced in the shader, so the CPU bounds are meaningless
+            this.particles.frustumCulled = false;
             this.scene.add(this.particles);
         } catch (error) {
             console.error('Error setting up particles:', error);
@@ -382,327 +5047,788 @@ class ParticleAnimation {
         }
     }
 
-    calculateOptimalParticleCount() {
-        const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-        return isMobile ? 2500 : 5000;
+    // Drawn back to front: the starfield, the formation, then emitter layers
+    // such as the sparks that EXPAND throws off
+    setupLayers() {
+        this.starfield = new Starfield(this);
+        this.starfield.material.uniforms.uScale.value = this.particles.material.uniforms.uScale.value;
+        this.scene.add(this.starfield.points);
+        this.layers = new Map([['stars', this.starfield.points], ['formation', this.particles]]);
+
+        this.emitters = new Map();
+        this.addEmitter('sparks');
+        this.sparkCount = 400;
+    }
+
+    getLayers() {
+        return [...this.layers.keys()];
+    }
+
+    setLayerVisible(name, visible) {
+        const layer = this.layers.get(name);
+        if (!layer) {
+            console.warn(`Unknown layer "${name}"`);
+            return;
+        }
+        layer.visible = visible;
+    }
+
+    // Adds a layer of short-lived particles on top; see ParticleEmitter for
+    // the options. An existing emitter of the same name is replaced.
+    addEmitter(name, options) {
+        if (this.emitters.has(name)) {
+            this.removeEmitter(name);
+        } else if (this.layers.has(name)) {
+            throw new Error(`Layer "${name}" is not an emitter`);
+        }
+
+        const emitter = new ParticleEmitter(this, options);
+        emitter.material.uniforms.uScale.value = this.particles.material.uniforms.uScale.value;
+        this.scene.add(emitter.points);
+        this.emitters.set(name, emitter);
+        this.layers.set(name, emitter.points);
+        return emitter;
+    }
+
+    removeEmitter(name) {
+        const emitter = this.emitters.get(name);
+        if (!emitter) return;
+        this.scene.remove(emitter.points);
+        emitter.dispose();
+        this.emitters.delete(name);
+        this.layers.delete(name);
+    }
+
+    // Sparks thrown off the formation, e.g. as it bursts apart on EXPAND
+    releaseSparks(count = this.sparkCount) {
+        const sparks = this.emitters.get('sparks');
+        if (!sparks || count <= 0) return;
+        if (this.reducedMotion) count = Math.round(count * 0.3);
+
+        const positions = this.particles.geometry.attributes.position.array;
+        const total = positions.length / 3;
+        const matrix = this.particles.matrixWorld;
+        sparks.emit(count, particle => {
+            const i = Math.floor(Math.random() * total) * 3;
+            particle.position.set(positions[i], positions[i + 1], positions[i + 2]).applyMatrix4(matrix);
+            particle.velocity.randomDirection().multiplyScalar(0.8)
+                .addScaledVector(particle.position.clone().normalize(), 2 + Math.random() * 3);
+        });
+    }
+
+    // Point sizes are in world units, scaled by the render height
+    setPointScale(scale) {
+        this.layers.forEach(layer => {
+            layer.material.uniforms.uScale.value = scale;
+        });
+    }
+
+    // Only a starting guess; the quality controller corrects it within seconds
+    calculateInitialQualityLevel() {
+        const coarsePointer = window.matchMedia('(pointer: coarse)').matches;
+        const cores = navigator.hardwareConcurrency || 4;
+        if (coarsePointer || cores <= 2) return 1;
+        return cores <= 4 ? 2 : 3;
+    }
+
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, this.qualitySettings.pixelRatio);
+    }
+
+    applyQuality(settings) {
+        this.qualitySettings = settings;
+        this.setParticleCount(settings.particles);
+        this.setAntialias(settings.antialias);
+        this.onResize();
+    }
+
+    // Swaps in a new geometry at the new size, snapped to the current formation
+    setParticleCount(count) {
+        count = Math.max(1, Math.round(count));
+        if (count === this.particleCount) return;
+
+        this.particleCount = count;
+        this.formationTargets.clear();
+
+        if (this.morph) {
+            const { resolve } = this.morph;
+            this.morph = null;
+            resolve(true);
+        }
+        this.particles.material.uniforms.uMorphProgress.value = 1;
+
+        const oldGeometry = this.particles.geometry;
+        this.particles.geometry = this.createParticleGeometry();
+        oldGeometry.dispose();
+    }
+
+    // Antialiasing is fixed when a WebGL context is created, so changing it
+    // means a new renderer and canvas
+    setAntialias(enabled) {
+        if (this.renderer.getContextAttributes().antialias === enabled) return;
+
+        const oldRenderer = this.renderer;
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: enabled,
+            powerPreference: "high-performance"
+        });
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        const { width, height } = this.getViewportSize();
+        this.renderer.setSize(width, height);
+        oldRenderer.domElement.replaceWith(this.renderer.domElement);
+        this.watchContext(this.renderer.domElement);
+        this.gestures.attach(this.renderer.domElement);
+        this.postProcessing.build();
+        oldRenderer.dispose();
+        oldRenderer.forceContextLoss();
+    }
+
+    toggleHud(visible = !this.hud) {
+        if (visible && !this.hud) {
+            this.hud = document.createElement('div');
+            this.hud.className = 'perf-hud';
+            this.hud.setAttribute('aria-hidden', 'true');
+            this.container.appendChild(this.hud);
+            this.hudUpdated = 0;
+        } else if (!visible && this.hud) {
+            this.hud.remove();
+            this.hud = null;
+        }
+    }
+
+    updateHud() {
+        const now = performance.now();
+        if (!this.hud || now - this.hudUpdated < 500) return;
+        this.hudUpdated = now;
+
+        const { fps, frameTime } = this.quality.stats;
+        this.hud.innerHTML = [
+            `FPS ${fps.toFixed(0)}`,
+            `Frame ${frameTime.toFixed(1)} ms`,
+            `Particles ${this.particleCount.toLocaleString()}`,
+            `Emitted ${[...this.emitters.values()].reduce((sum, emitter) => sum + emitter.countAlive(), 0).toLocaleString()}`,
+            `Draw calls ${this.renderer.info.render.calls}`,
+            `Quality ${this.quality.level}${this.quality.enabled ? ' (auto)' : ''}`,
+            `Target ${this.quality.target.toFixed(0)} fps`,
+            `Post-processing ${this.postProcessing.active ? 'on' : 'off'}`,
+            `Time ×${this.simulation.timeScale}${this.simulation.paused ? ' (paused)' : ''}`
+        ].join('<br>');
     }
 
     addEventListeners() {
-        if (typeof window !== 'undefined') {
-            window.addEventListener('resize', this.onWindowResize.bind(this));
-            window.addEventListener('mousemove', this.onMouseMove.bind(this));
-            window.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: true });
-            window.addEventListener('wheel', this.onWheel.bind(this), { passive: true });
+        const { signal } = this.abortController;
+        const container = this.container;
+
+        // Follows the container, which also covers window resizes
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(container);
+
+        this.gestures = new GestureController(this, this.renderer.domElement, signal);
+        container.addEventListener('pointerleave', () => { this.pointerActive = false; }, { signal });
+        container.addEventListener('wheel', this.onWheel.bind(this), { passive: true, signal });
+        container.addEventListener('contextmenu', event => {
+            // Right-drag pans the orbit camera
+            if (this.cameraRig.mode === 'orbit') event.preventDefault();
+        }, { signal });
+        container.addEventListener('dragover', event => event.preventDefault(), { signal });
+        container.addEventListener('drop', this.onDrop.bind(this), { signal });
+        document.addEventListener('visibilitychange', this.onVisibilityChange.bind(this), { signal });
+        if (this.options.persist) {
+            window.addEventListener('hashchange', this.onHashChange.bind(this), { signal });
+        }
+        if (this.options.keyboard) {
+            window.addEventListener('keydown', this.onKeyDown.bind(this), { signal });
+        }
+        this.reducedMotionQuery.addEventListener('change', event => this.setReducedMotion(event.matches), { signal });
+    }
+
+    onDrop(event) {
+        event.preventDefault();
+        const extensionOf = file => file.name.split('.').pop().toLowerCase();
+        const files = [...event.dataTransfer.files];
+
+        const model = files.find(file => MODEL_FORMATS.includes(extensionOf(file)));
+        const image = files.find(file => IMAGE_FORMATS.includes(extensionOf(file)));
+        const audio = files.find(file => AUDIO_FORMATS.includes(extensionOf(file)));
+
+        if (model) {
+            this.importModel(model).catch(() => {});
+        } else if (image) {
+            this.importImage(image).catch(() => {});
+        } else if (audio && this.options.audio) {
+            this.useAudioFile(audio).catch(() => {});
+        }
+    }
+
+    // 1-9 pick a formation, +/- zoom, E expands, C collapses, M mutes,
+    // P cycles palettes, R toggles reduced motion and H the performance HUD.
+    // Space pauses, . steps one frame and [ / ] halve or double the speed.
+    // O toggles the orbit camera, F focuses the formation, A auto-rotates,
+    // S opens the settings.
+    onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest?.('input, select, textarea, [contenteditable="true"]')) return;
+
+        const key = event.key.toLowerCase();
+        const formationIndex = Number(key) - 1;
+
+        if (formationIndex >= 0 && formationIndex < 9) {
+            const formation = this.getModes()[formationIndex];
+            if (!formation) return;
+            this.setMode(formation);
+        } else if (key === '+' || key === '=') {
+            this.setZoom(this.zoomLevel - 0.25);
+        } else if (key === '-' || key === '_') {
+            this.setZoom(this.zoomLevel + 0.25);
+        } else if (key === 'e') {
+            this.triggerExplosion();
+        } else if (key === 'c') {
+            this.triggerImplosion();
+        } else if (key === 'm') {
+            this.toggleSound();
+        } else if (key === 'p') {
+            const names = [...palettes.keys()];
+            this.setPalette(names[(names.indexOf(this.palette) + 1) % names.length]);
+        } else if (key === 'h') {
+            this.toggleHud();
+        } else if (key === ' ' && !event.target.closest?.('button')) {
+            this.setPaused(!this.simulation.paused);
+            this.announce(this.simulation.paused ? 'Paused' : 'Playing');
+        } else if (key === '.') {
+            this.stepFrame();
+        } else if (key === 'o') {
+            this.setCameraMode(this.cameraRig.mode === 'orbit' ? 'tilt' : 'orbit');
+        } else if (key === 'f') {
+            this.focusFormation();
+        } else if (key === 'a') {
+            this.setAutoRotate(!this.cameraRig.autoRotate);
+        } else if (key === 's') {
+            this.toggleSettings();
+        } else if (key === '[' || key === ']') {
+            const timeScale = this.simulation.timeScale * (key === ']' ? 2 : 0.5);
+            this.setTimeScale(Math.max(1 / 16, Math.min(4, timeScale)));
+            this.announce(`Speed ×${this.simulation.timeScale}`);
+        } else if (key === 'r') {
+            this.setReducedMotion(!this.reducedMotion);
+            this.announce(this.reducedMotion ? 'Reduced motion on' : 'Reduced motion off');
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    // Tones down idle motion, effects, the audio camera pulse and gesture inertia
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        this.particles.material.uniforms.uMotionScale.value = enabled ? 0.3 : 1;
+        this.starfield.material.uniforms.uMotionScale.value = enabled ? 0.3 : 1;
+        this.gestures.inertiaDecay = enabled ? 0 : 0.92;
+        this.container.classList.toggle('reduced-motion', enabled);
+    }
+
+    // Slow motion below 1, fast forward above
+    setTimeScale(timeScale) {
+        this.simulation.setTimeScale(timeScale);
+        this.emit('timechange', { timeScale: this.simulation.timeScale, paused: this.simulation.paused });
+    }
+
+    setPaused(paused) {
+        if (paused) {
+            this.simulation.pause();
+        } else {
+            this.simulation.resume();
+        }
+        this.emit('timechange', { timeScale: this.simulation.timeScale, paused });
+    }
+
+    // Pauses and moves on by a single frame
+    stepFrame() {
+        this.setPaused(true);
+        this.simulation.step();
+    }
+
+    // 'tilt': the pointer tilts the formation in front of the camera.
+    // 'orbit': dragging turns the view around the target.
+    setCameraMode(mode) {
+        if (mode !== 'tilt' && mode !== 'orbit') {
+            console.warn(`Unknown camera mode "${mode}"`);
+            return;
+        }
+        this.cameraRig.mode = mode;
+        this.targetRotation.x = 0;
+        this.targetRotation.y = 0;
+        if (mode === 'tilt') {
+            this.cameraRig.setView({ azimuth: 0, polar: Math.PI / 2 }, 1);
+        }
+
+        const orbitButton = this.container.querySelector('.orbit-toggle');
+        orbitButton?.classList.toggle('active', mode === 'orbit');
+        orbitButton?.setAttribute('aria-pressed', String(mode === 'orbit'));
+        this.announce(mode === 'orbit' ? 'Orbit camera' : 'Tilt camera');
+    }
+
+    setAutoRotate(enabled, speed = this.cameraRig.autoRotateSpeed) {
+        this.cameraRig.autoRotate = enabled;
+        this.cameraRig.autoRotateSpeed = speed;
+
+        const rotateButton = this.container.querySelector('.auto-rotate-toggle');
+        rotateButton?.classList.toggle('active', enabled);
+        rotateButton?.setAttribute('aria-pressed', String(enabled));
+    }
+
+    // Moves the target to the center of the current formation
+    focusFormation(duration = 1) {
+        const positions = this.particles.geometry.attributes.position.array;
+        const center = new THREE.Vector3();
+        for (let i = 0; i < positions.length; i += 3) {
+            center.x += positions[i];
+            center.y += positions[i + 1];
+            center.z += positions[i + 2];
+        }
+        center.divideScalar(positions.length / 3);
+        this.particles.localToWorld(center);
+        return this.cameraRig.setView({ target: center.toArray() }, duration);
+    }
+
+    getCameraPresets() {
+        return { ...CAMERA_PRESETS, ...this.loadStored(CAMERA_PRESETS_STORAGE_KEY, {}) };
+    }
+
+    saveCameraPreset(name) {
+        const presets = this.loadStored(CAMERA_PRESETS_STORAGE_KEY, {});
+        presets[name] = this.cameraRig.getView();
+        this.store(CAMERA_PRESETS_STORAGE_KEY, presets);
+        this.renderCameraOptions(name);
+    }
+
+    deleteCameraPreset(name) {
+        const presets = this.loadStored(CAMERA_PRESETS_STORAGE_KEY, {});
+        delete presets[name];
+        this.store(CAMERA_PRESETS_STORAGE_KEY, presets);
+        this.renderCameraOptions();
+    }
+
+    // Flies to a saved or built-in view; resolves like CameraRig.setView()
+    applyCameraPreset(name, duration = 1.5) {
+        const view = this.getCameraPresets()[name];
+        if (!view) {
+            console.warn(`Unknown camera preset "${name}"`);
+            return Promise.resolve(false);
         }
+        return this.cameraRig.setView(view, duration);
+    }
+
+    // Flies along a spline through the given points: [x, y, z] positions,
+    // views or camera preset names
+    flyCameraPath(points, options) {
+        const presets = this.getCameraPresets();
+        return this.cameraRig.flyPath(points.map(point => presets[point] ?? point), options);
     }
 
     onWheel(event) {
-        const newZ = Math.max(1, Math.min(5, this.camera.position.z + event.deltaY * 0.001));
-        this.camera.position.z = newZ;
-        this.zoomLevel = newZ;
-        this.audioSystem.updateWithZoom(newZ);
-        this.updateButtonVisibility(newZ);
-        console.log('Zoom updated:', newZ);
+        this.cameraRig.stop();
+        this.setZoom(this.zoomLevel + event.deltaY * 0.001);
+    }
+
+    setZoom(zoom) {
+        this.updateZoom(this.cameraRig.setDistance(zoom));
+    }
+
+    // The zoom bands, the sound and the saved state follow the camera's
+    // distance to its target, however it got there. Flights, pinches and
+    // timelines change it every frame, so the state is saved at most every
+    // 100 ms.
+    updateZoom(distance) {
+        if (distance === this.zoomLevel) return;
+
+        const bandChanged = this.getZoomBand(distance) !== this.getZoomBand(this.zoomLevel);
+        this.zoomLevel = distance;
+        this.audioSystem.updateWithZoom(distance);
+        if (bandChanged) this.updateButtonVisibility(distance);
+        this.zoomStateTimeout ??= setTimeout(() => {
+            this.zoomStateTimeout = null;
+            this.persistState();
+        }, 100);
+        this.emit('zoom', { zoom: distance });
     }
 
-    onWindowResize() {
+    onResize() {
         if (!this.camera || !this.renderer) return;
+        // Recordings keep their own output size until they finish
+        if (this.recorder?.recording || this.recorder?.exporting) return;
         
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+        const { width, height } = this.getViewportSize();
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.setSize(width, height);
+
+        if (this.layers) {
+            this.setPointScale(this.renderer.domElement.height * 0.5);
+        }
+        this.postProcessing?.setSize();
+    }
+
+    // Renders at a fixed pixel size (e.g. for recording) while the canvas
+    // keeps filling the window on screen
+    setRenderSize(width, height) {
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.setPointScale(height * 0.5);
+        this.postProcessing.setSize();
     }
 
-    onMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    onPointerMove(event) {
+        const rect = this.container.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.pointerActive = true;
         
-        this.targetRotation.x = this.mouse.y * 0.5 * this.interactionStrength;
-        this.targetRotation.y = this.mouse.x * 0.5 * this.interactionStrength;
+        // In orbit mode dragging moves the camera instead
+        if (this.cameraRig.mode === 'tilt') {
+            this.targetRotation.x = this.mouse.y * 0.5 * this.interactionStrength;
+            this.targetRotation.y = this.mouse.x * 0.5 * this.interactionStrength;
+        }
 
         // Update audio based on mouse position
         this.audioSystem.updateWithMovement(this.mouse.x, this.mouse.y);
     }
 
-    onTouchMove(event) {
-        if (event.touches.length > 0) {
-            this.onMouseMove(event.touches[0]);
-        }
+    // Quick clicks and taps leave the field alone; only a hold flips it
+    onPointerDown() {
+        clearTimeout(this.pointerHoldTimeout);
+        this.pointerHoldTimeout = setTimeout(() => {
+            this.pointerHeld = true;
+        }, 250);
     }
 
-    updateParticleColors(elapsedTime) {
-        const colors = this.particles.geometry.attributes.color.array;
-        const positions = this.particles.geometry.attributes.position.array;
-        
-        for (let i = 0; i < colors.length; i += 3) {
-            const px = positions[i];
-            const py = positions[i + 1];
-            const pz = positions[i + 2];
-            
-            // Create dynamic color based on position and time
-            const hue = (Math.atan2(py, px) / (Math.PI * 2) + 0.5 + elapsedTime * 0.1) % 1;
-            const color = new THREE.Color().setHSL(hue, 0.8, 0.5);
-            
-            colors[i] = color.r;
-            colors[i + 1] = color.g;
-            colors[i + 2] = color.b;
+    onPointerUp() {
+        clearTimeout(this.pointerHoldTimeout);
+        this.pointerHeld = false;
+    }
+
+    // radius and falloff shape the field around the pointer, strength is
+    // scaled by the Interaction Strength slider, mode is 'attract' or 'repel'
+    setPointerField(options) {
+        Object.assign(this.pointerField, options);
+
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uPointerRadius.value = this.pointerField.radius;
+        uniforms.uPointerFalloff.value = this.pointerField.falloff;
+    }
+
+    updatePointerField(dt) {
+        const uniforms = this.particles.material.uniforms;
+        let target = 0;
+
+        if (this.pointerActive) {
+            // Intersect the pointer ray with a plane through the cloud facing the camera
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            this.camera.getWorldDirection(this.pointerPlane.normal);
+            this.pointerPlane.setFromNormalAndCoplanarPoint(this.pointerPlane.normal, this.particles.position);
+
+            const hit = this.raycaster.ray.intersectPlane(this.pointerPlane, new THREE.Vector3());
+            if (hit) {
+                // The shader works in the cloud's rotated space
+                this.particles.worldToLocal(hit);
+                uniforms.uPointer.value.lerp(hit, damp(0.3, dt));
+
+                const attract = (this.pointerField.mode === 'attract') !== this.pointerHeld;
+                target = (attract ? 1 : -1) * this.pointerField.strength * this.interactionStrength;
+            }
         }
-        
-        this.particles.geometry.attributes.color.needsUpdate = true;
+
+        // Easing the strength lets particles spring back when the field moves or lets go
+        uniforms.uPointerStrength.value += (target - uniforms.uPointerStrength.value) * damp(0.1, dt);
     }
 
     setupDynamicButtons() {
         // Remove any existing buttons first
-        const existingButtons = document.querySelectorAll('.dynamic-button, .zoom-instructions');
+        const existingButtons = this.container.querySelectorAll('.dynamic-button, .zoom-instructions');
         existingButtons.forEach(button => button.remove());
 
         // Inner zoom button (visible when zoomed in)
         const innerButton = document.createElement('button');
         innerButton.className = 'dynamic-button inner-button';
         innerButton.innerHTML = '🌀 COLLAPSE';
+        innerButton.title = 'Collapse (C)';
         innerButton.onclick = () => this.triggerImplosion();
-        document.body.appendChild(innerButton);
+        this.container.appendChild(innerButton);
 
         // Outer zoom button (visible when zoomed out)
         const outerButton = document.createElement('button');
         outerButton.className = 'dynamic-button outer-button';
         outerButton.innerHTML = '⚡ EXPAND';
+        outerButton.title = 'Expand (E)';
         outerButton.onclick = () => this.triggerExplosion();
-        document.body.appendChild(outerButton);
+        this.container.appendChild(outerButton);
 
         // Add zoom instructions
         const instructions = document.createElement('div');
         instructions.className = 'zoom-instructions';
-        instructions.innerHTML = 'Scroll to zoom in/out';
-        document.body.appendChild(instructions);
+        instructions.innerHTML = window.matchMedia('(pointer: coarse)').matches
+            ? 'Pinch to zoom in/out'
+            : 'Scroll to zoom in/out';
+        this.container.appendChild(instructions);
 
         // Initial visibility update
-        this.updateButtonVisibility(this.camera.position.z);
+        this.updateButtonVisibility(this.zoomLevel);
     }
 
     updateButtonVisibility(zoomLevel) {
-        const innerButton = document.querySelector('.inner-button');
-        const outerButton = document.querySelector('.outer-button');
-        const instructions = document.querySelector('.zoom-instructions');
+        // Without the UI there are no buttons to show
+        if (!this.options.ui) return;
+
+        const innerButton = this.container.querySelector('.inner-button');
+        const outerButton = this.container.querySelector('.outer-button');
+        const instructions = this.container.querySelector('.zoom-instructions');
         
-        if (innerButton && outerButton) {
-            // Adjusted thresholds for better visibility
-            const innerVisible = zoomLevel < 2.2;
-            const outerVisible = zoomLevel > 2.8;
-            
-            innerButton.style.opacity = innerVisible ? '1' : '0';
-            innerButton.style.pointerEvents = innerVisible ? 'auto' : 'none';
-            innerButton.style.transform = innerVisible ? 'translate(-50%, -50%) scale(1)' : 'translate(-50%, -50%) scale(0.8)';
-            
-            outerButton.style.opacity = outerVisible ? '1' : '0';
-            outerButton.style.pointerEvents = outerVisible ? 'auto' : 'none';
-            outerButton.style.transform = outerVisible ? 'translateX(-50%) scale(1)' : 'translateX(-50%) scale(0.8)';
+        if (!innerButton || !outerButton) return;
 
-            // Update instructions visibility
-            if (instructions) {
-                instructions.style.opacity = (!innerVisible && !outerVisible) ? '0.8' : '0';
-            }
-            
-            console.log('Button visibility updated:', { zoomLevel, innerVisible, outerVisible });
+        const band = this.getZoomBand(zoomLevel);
+        const innerVisible = band === 'inner';
+        const outerVisible = band === 'outer';
+        
+        innerButton.style.opacity = innerVisible ? '1' : '0';
+        innerButton.style.pointerEvents = innerVisible ? 'auto' : 'none';
+        innerButton.tabIndex = innerVisible ? 0 : -1;
+        innerButton.setAttribute('aria-hidden', String(!innerVisible));
+        innerButton.style.transform = innerVisible ? 'translate(-50%, -50%) scale(1)' : 'translate(-50%, -50%) scale(0.8)';
+        
+        outerButton.style.opacity = outerVisible ? '1' : '0';
+        outerButton.style.pointerEvents = outerVisible ? 'auto' : 'none';
+        outerButton.tabIndex = outerVisible ? 0 : -1;
+        outerButton.setAttribute('aria-hidden', String(!outerVisible));
+        outerButton.style.transform = outerVisible ? 'translateX(-50%) scale(1)' : 'translateX(-50%) scale(0.8)';
+
+        // Update instructions visibility
+        if (instructions) {
+            instructions.style.opacity = (!innerVisible && !outerVisible) ? '0.8' : '0';
+        }
+    }
+
+    // Zoomed in reveals COLLAPSE, zoomed out EXPAND
+    getZoomBand(zoomLevel) {
+        if (zoomLevel < this.zoomBands.inner) return 'inner';
+        if (zoomLevel > this.zoomBands.outer) return 'outer';
+        return null;
+    }
+
+    // Double tap shortcut for the button the current zoom shows
+    playZoomBandEffect() {
+        const band = this.getZoomBand(this.zoomLevel);
+        if (band === 'inner') return this.triggerImplosion();
+        if (band === 'outer') return this.triggerExplosion();
+        return Promise.resolve(false);
+    }
+
+    // Plays a registered effect; see EffectManager for queueing options
+    playEffect(name, options) {
+        return this.effects.play(name, options);
+    }
+
+    cancelEffect(name) {
+        if (name) {
+            this.effects.cancel(name);
         } else {
-            console.warn('Buttons not found in DOM');
+            this.effects.cancelAll();
         }
     }
 
-    triggerExplosion() {
-        const positions = this.particles.geometry.attributes.position.array;
-        const velocities = new Float32Array(positions.length);
-        
-        // Calculate explosion velocities with spiral
-        for (let i = 0; i < positions.length; i += 3) {
-            const x = positions[i];
-            const y = positions[i + 1];
-            const z = positions[i + 2];
-            
-            // Calculate direction from center with spiral
-            const length = Math.sqrt(x * x + y * y + z * z);
-            const speed = 0.15;
-            const angle = Math.atan2(z, x) + Math.PI / 2; // Add spiral direction
-            
-            velocities[i] = ((x / length) + Math.cos(angle) * 0.5) * speed;
-            velocities[i + 1] = (y / length) * speed;
-            velocities[i + 2] = ((z / length) + Math.sin(angle) * 0.5) * speed;
+    // Fetches a timeline from a URL; timeline objects are passed through
+    async loadTimeline(source) {
+        if (typeof source !== 'string') return source;
+        const response = await fetch(new URL(source, window.location.href));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+
+    // Plays a timeline object, or one loaded from a URL, from the start.
+    // Resolves false if stopTimeline() or another playTimeline() came first.
+    async playTimeline(source) {
+        const load = ++this.timelineLoads;
+        try {
+            const timeline = await this.loadTimeline(source);
+            if (load !== this.timelineLoads) return false;
+            this.timelinePlayer.play(timeline);
+            return true;
+        } catch (error) {
+            console.error('Error playing timeline:', error);
+            throw error;
         }
-        
-        this.explosionParticles = {
-            velocities,
-            startTime: this.clock.getElapsedTime(),
-            duration: 2,
-            transitionDuration: 1.5
-        };
+    }
+
+    stopTimeline() {
+        // Also drops a timeline that is still loading
+        this.timelineLoads++;
+        this.timelinePlayer.stop();
+    }
+
+    triggerExplosion() {
+        return this.playEffect('expand');
     }
 
     triggerImplosion() {
-        this.implosionActive = true;
-        this.implosionStartTime = this.clock.getElapsedTime();
-        this.implosionDuration = 2;
-        this.implosionTransitionDuration = 1.5;
-        
-        // Store initial positions and calculate center point
-        const positions = this.particles.geometry.attributes.position.array;
-        this.implosionInitialPositions = new Float32Array(positions.length);
-        
-        let centerX = 0, centerY = 0, centerZ = 0;
-        for (let i = 0; i < positions.length; i += 3) {
-            this.implosionInitialPositions[i] = positions[i];
-            this.implosionInitialPositions[i + 1] = positions[i + 1];
-            this.implosionInitialPositions[i + 2] = positions[i + 2];
-            
-            centerX += positions[i];
-            centerY += positions[i + 1];
-            centerZ += positions[i + 2];
-        }
-        
-        const particleCount = positions.length / 3;
-        this.implosionCenter = {
-            x: centerX / particleCount,
-            y: centerY / particleCount,
-            z: centerZ / particleCount
-        };
+        return this.playEffect('collapse');
     }
 
     animate() {
         if (!this.renderer || !this.scene || !this.camera || !this.particles) return;
 
-        requestAnimationFrame(this.animate.bind(this));
-        
-        try {
-            const elapsedTime = this.clock.getElapsedTime();
-            
-            // Handle explosion animation with outward spiral
-            if (this.explosionParticles) {
-                const timeSinceExplosion = elapsedTime - this.explosionParticles.startTime;
-                const positions = this.particles.geometry.attributes.position.array;
-                const velocities = this.explosionParticles.velocities;
-                
-                if (timeSinceExplosion < this.explosionParticles.duration + this.explosionParticles.transitionDuration) {
-                    const progress = Math.min(timeSinceExplosion / this.explosionParticles.duration, 1);
-                    const transitionProgress = timeSinceExplosion > this.explosionParticles.duration ? 
-                        (timeSinceExplosion - this.explosionParticles.duration) / this.explosionParticles.transitionDuration : 0;
-                    
-                    for (let i = 0; i < positions.length; i += 3) {
-                        if (timeSinceExplosion <= this.explosionParticles.duration) {
-                            // Outward spiral explosion
-                            positions[i] += velocities[i] * (1 - progress * 0.5);
-                            positions[i + 1] += velocities[i + 1] * (1 - progress * 0.5);
-                            positions[i + 2] += velocities[i + 2] * (1 - progress * 0.5);
-                            
-                            // Add upward drift
-                            positions[i + 1] += 0.002 * (1 - progress);
-                            
-                            velocities[i + 1] -= 0.001 * (1 - progress * 0.5); // Reduced gravity over time
-                        } else {
-                            // Smooth transition back
-                            const targetPos = this.calculateParticlePosition(i / 3, positions.length / 3);
-                            positions[i] = positions[i] + (targetPos.x - positions[i]) * transitionProgress;
-                            positions[i + 1] = positions[i + 1] + (targetPos.y - positions[i + 1]) * transitionProgress;
-                            positions[i + 2] = positions[i + 2] + (targetPos.z - positions[i + 2]) * transitionProgress;
-                        }
-                    }
-                    
-                    this.particles.geometry.attributes.position.needsUpdate = true;
-                } else {
-                    this.explosionParticles = null;
-                }
+        if (this.destroyed) return;
+
+        this.frameId = requestAnimationFrame(this.animate.bind(this));
+        const delta = this.clock.getDelta();
+        // Frame exports render on their own fixed clock
+        if (this.recorder.exporting) return;
+        this.renderFrame(delta);
+    }
+
+    stopLoop() {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    // Restarts the render loop without counting the time it was stopped, so
+    // morphs, effects and timelines carry on where they were
+    startLoop() {
+        if (this.frameId !== null || this.destroyed || this.contextLost || document.hidden) return;
+        this.clock.getDelta();
+        this.quality.restart();
+        this.animate();
+    }
+
+    // Background tabs get no frames and no sound
+    onVisibilityChange() {
+        if (document.hidden) {
+            this.stopLoop();
+            this.resumeSoundWhenVisible = this.audioSystem.suspend();
+            this.audioAnalyser.suspend();
+        } else {
+            if (this.resumeSoundWhenVisible) {
+                this.audioSystem.resume().catch(error => console.error('Error resuming sound:', error));
+                this.resumeSoundWhenVisible = false;
             }
-            
-            // Handle implosion animation with spiral effect
-            if (this.implosionActive) {
-                const timeSinceImplosion = elapsedTime - this.implosionStartTime;
-                const positions = this.particles.geometry.attributes.position.array;
-                
-                if (timeSinceImplosion < this.implosionDuration + this.implosionTransitionDuration) {
-                    const progress = Math.min(timeSinceImplosion / this.implosionDuration, 1);
-                    const transitionProgress = timeSinceImplosion > this.implosionDuration ?
-                        (timeSinceImplosion - this.implosionDuration) / this.implosionTransitionDuration : 0;
-                    
-                    for (let i = 0; i < positions.length; i += 3) {
-                        if (timeSinceImplosion <= this.implosionDuration) {
-                            const x = positions[i] - this.implosionCenter.x;
-                            const y = positions[i + 1] - this.implosionCenter.y;
-                            const z = positions[i + 2] - this.implosionCenter.z;
-                            
-                            const distance = Math.sqrt(x * x + y * y + z * z);
-                            const speed = 0.02 * (1 - progress * 0.5);
-                            
-                            // Enhanced spiral effect
-                            const angle = elapsedTime * 3;
-                            const spiralStrength = 0.015 * (1 - progress * 0.5);
-                            const spiralX = Math.cos(angle + distance * 2) * spiralStrength;
-                            const spiralZ = Math.sin(angle + distance * 2) * spiralStrength;
-                            
-                            // Move towards center with spiral
-                            positions[i] = this.implosionCenter.x + (x * (1 - speed)) + spiralX;
-                            positions[i + 1] = this.implosionCenter.y + (y * (1 - speed));
-                            positions[i + 2] = this.implosionCenter.z + (z * (1 - speed)) + spiralZ;
-                            
-                            // Add vertical motion
-                            positions[i + 1] += Math.sin(angle + distance * 3) * spiralStrength * 0.5;
-                        } else {
-                            // Smooth transition back
-                            const targetPos = this.calculateParticlePosition(i / 3, positions.length / 3);
-                            const t = Math.sin(transitionProgress * Math.PI / 2);
-                            positions[i] = positions[i] + (targetPos.x - positions[i]) * t;
-                            positions[i + 1] = positions[i + 1] + (targetPos.y - positions[i + 1]) * t;
-                            positions[i + 2] = positions[i + 2] + (targetPos.z - positions[i + 2]) * t;
-                        }
-                    }
-                    
-                    this.particles.geometry.attributes.position.needsUpdate = true;
-                } else {
-                    this.implosionActive = false;
-                    this.implosionInitialPositions = null;
-                    this.implosionCenter = null;
-                }
+            this.audioAnalyser.resume();
+            this.startLoop();
+        }
+    }
+
+    // The browser can drop the WebGL context (GPU reset, driver update, too
+    // many contexts). Rendering stops until it comes back, then everything on
+    // the GPU is rebuilt from the current state.
+    watchContext(canvas) {
+        const { signal } = this.abortController;
+        canvas.addEventListener('webglcontextlost', event => {
+            // Replaced renderers are dropped on purpose
+            if (canvas !== this.renderer.domElement) return;
+            // Without this the browser won't try to restore the context
+            event.preventDefault();
+            this.contextLost = true;
+            this.stopLoop();
+            this.showStatus('Graphics were interrupted. Restoring…');
+            console.warn('WebGL context lost');
+        }, { signal });
+        canvas.addEventListener('webglcontextrestored', () => {
+            try {
+                this.restoreGraphics();
+                this.contextLost = false;
+                this.hideStatus();
+                this.startLoop();
+            } catch (error) {
+                console.error('Error restoring graphics:', error);
+                this.showStatus('Graphics could not be restored. Please refresh the page.');
             }
+        }, { signal });
+    }
 
-            // Smooth rotation for main particles
-            this.particles.rotation.x += (this.targetRotation.x - this.particles.rotation.x) * 0.05;
-            this.particles.rotation.y += (this.targetRotation.y - this.particles.rotation.y) * 0.05;
-            
-            // Update colors for main particles
-            this.updateParticleColors(elapsedTime);
-            
-            // Only apply mode-based movement if no effects are active
-            if (!this.explosionParticles && !this.implosionActive) {
-                const positions = this.particles.geometry.attributes.position.array;
-                for (let i = 0; i < positions.length; i += 3) {
-                    switch(this.particleMode) {
-                        case 'sphere':
-                            positions[i + 1] += Math.sin(elapsedTime * 0.5 + positions[i]) * 0.001;
-                            positions[i + 2] += Math.cos(elapsedTime * 0.5 + positions[i]) * 0.001;
-                            break;
-                        case 'tornado':
-                            const angle = Math.atan2(positions[i + 2], positions[i]);
-                            const radius = Math.sqrt(positions[i] ** 2 + positions[i + 2] ** 2);
-                            positions[i] = Math.cos(angle + elapsedTime * 0.5) * radius;
-                            positions[i + 2] = Math.sin(angle + elapsedTime * 0.5) * radius;
-                            break;
-                        case 'cube':
-                            positions[i] += Math.sin(elapsedTime + positions[i + 1]) * 0.001;
-                            positions[i + 2] += Math.cos(elapsedTime + positions[i + 1]) * 0.001;
-                            break;
-                    }
-                }
-                this.particles.geometry.attributes.position.needsUpdate = true;
+    restoreGraphics() {
+        if (this.morph) {
+            const { resolve } = this.morph;
+            this.morph = null;
+            resolve(true);
+        }
+
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uMorphProgress.value = 1;
+        const oldGeometry = this.particles.geometry;
+        this.particles.geometry = this.createParticleGeometry();
+        oldGeometry.dispose();
+
+        this.particles.material.vertexShader = buildParticleVertexShader();
+        this.particles.material.needsUpdate = true;
+        this.starfield.build();
+        // Particles in flight are dropped
+        this.emitters.forEach(emitter => emitter.clear());
+        uniforms.uPalette.value.dispose();
+        uniforms.uPalette.value = createPaletteTexture(palettes.get(this.palette));
+        this.applyBackground();
+        this.postProcessing.build();
+        this.onResize();
+    }
+
+    // A notice over the scene, e.g. while the WebGL context is restored
+    showStatus(message) {
+        if (!this.statusMessage) {
+            this.statusMessage = document.createElement('div');
+            this.statusMessage.className = 'status-message';
+            this.statusMessage.setAttribute('role', 'alert');
+            this.container.appendChild(this.statusMessage);
+        }
+        this.statusMessage.textContent = message;
+    }
+
+    hideStatus() {
+        this.statusMessage?.remove();
+        this.statusMessage = null;
+    }
+
+    // One simulation step. Formation motion, effects and colors all run in
+    // the particle shader on simulated time.
+    updateSimulation(dt) {
+        if (!this.particles) return;
+
+        const time = this.simulation.time;
+        this.particles.material.uniforms.uTime.value = time;
+        this.starfield.update(time);
+        this.emitters.forEach(emitter => emitter.update(time));
+        this.updateMorph(time);
+        this.effects.update(dt);
+        this.updatePointerField(dt);
+
+        // Smooth rotation for main particles
+        const smoothing = damp(0.05, dt);
+        this.particles.rotation.x += (this.targetRotation.x - this.particles.rotation.x) * smoothing;
+        this.particles.rotation.y += (this.targetRotation.y - this.particles.rotation.y) * smoothing;
+        this.particles.rotation.z += (this.targetRotation.z - this.particles.rotation.z) * smoothing;
+    }
+
+    renderFrame(delta = 0) {
+        try {
+            // Frame exports step the simulation themselves
+            if (!this.recorder.exporting) {
+                this.simulation.advance(delta);
             }
 
-            this.renderer.render(this.scene, this.camera);
+            // Audio, gesture inertia and the camera follow real time, paused
+            // or not, or the fixed step of a frame export
+            this.updateAudioReactive(this.clock.elapsedTime);
+            this.gestures.update(Math.min(delta, this.simulation.maxDelta));
+            this.attract?.update();
+            this.cameraRig.update(Math.min(delta, this.simulation.maxDelta), this.cameraPulse);
+
+            this.postProcessing.update();
+            if (this.postProcessing.active) {
+                this.postProcessing.render();
+            } else {
+                this.renderer.render(this.scene, this.camera);
+            }
+            this.quality.update();
+            this.updateHud();
         } catch (error) {
             console.error('Error in animation loop:', error);
         }
     }
 }
-
-// Start the animation with error handling
-try {
-    new ParticleAnimation();
-} catch (error) {
-    console.error('Failed to start animation:', error);
-    document.querySelector('.overlay').innerHTML = '<h1>Failed to start animation</h1><p>Please try refreshing the page</p>';
-} 
\ No newline at end of file
@@ -0,0 +1,141 @@
+import argparse
+import asyncio
+import base64
+import hashlib
+import struct
+import sys
+
+# Forwards remote control messages between controller.html and displays on
+# other devices: every text message a client sends goes to all other clients.
+# It listens on localhost only unless --host says otherwise, and accepts only
+# pages from the allowed origins, so other web pages open in a browser can't
+# connect. There is no authentication beyond that, so only open it up on a
+# trusted network.
+
+WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+MAX_MESSAGE_SIZE = 64 * 1024
+# Where server.py serves index.html and controller.html by default
+DEFAULT_ORIGINS = ["http://localhost:8000", "http://127.0.0.1:8000"]
+
+clients = set()
+allowed_origins = set(DEFAULT_ORIGINS)
+
+async def reject(writer, status):
+    writer.write(f"HTTP/1.1 {status}\r\nContent-Length: 0\r\n\r\n".encode())
+    await writer.drain()
+    return False
+
+async def handshake(reader, writer):
+    request = await reader.readuntil(b"\r\n\r\n")
+    headers = {}
+    for line in request.decode("latin-1").split("\r\n")[1:]:
+        if ":" in line:
+            name, value = line.split(":", 1)
+            headers[name.strip().lower()] = value.strip()
+
+    key = headers.get("sec-websocket-key")
+    if not key or headers.get("upgrade", "").lower() != "websocket":
+        return await reject(writer, "400 Bad Request")
+
+    # Browsers always send the page's origin with a WebSocket handshake
+    origin = headers.get("origin", "").rstrip("/")
+    if origin not in allowed_origins:
+        print(f"Rejected connection from origin {origin or '(none)'}")
+        return await reject(writer, "403 Forbidden")
+
+    accept = base64.b64encode(hashlib.sha1((key + WEBSOCKET_GUID).encode()).digest()).decode()
+    writer.write((
+        "HTTP/1.1 101 Switching Protocols\r\n"
+        "Upgrade: websocket\r\n"
+        "Connection: Upgrade\r\n"
+        f"Sec-WebSocket-Accept: {accept}\r\n\r\n"
+    ).encode())
+    await writer.drain()
+    return True
+
+async def read_frame(reader):
+    first, second = await reader.readexactly(2)
+    opcode = first & 0x0F
+    length = second & 0x7F
+    if length == 126:
+        length = struct.unpack("!H", await reader.readexactly(2))[0]
+    elif length == 127:
+        length = struct.unpack("!Q", await reader.readexactly(8))[0]
+    if length > MAX_MESSAGE_SIZE:
+        raise ValueError(f"message of {length} bytes is too large")
+
+    # Browsers always mask what they send
+    mask = await reader.readexactly(4) if second & 0x80 else None
+    payload = await reader.readexactly(length)
+    if mask:
+        payload = bytes(byte ^ mask[i % 4] for i, byte in enumerate(payload))
+    return opcode, payload
+
+def encode_frame(opcode, payload):
+    length = len(payload)
+    if length < 126:
+        header = struct.pack("!BB", 0x80 | opcode, length)
+    elif length < 65536:
+        header = struct.pack("!BBH", 0x80 | opcode, 126, length)
+    else:
+        header = struct.pack("!BBQ", 0x80 | opcode, 127, length)
+    return header + payload
+
+async def handle_client(reader, writer):
+    address = writer.get_extra_info("peername")
+    try:
+        if not await handshake(reader, writer):
+            return
+        clients.add(writer)
+        print(f"Client connected: {address} ({len(clients)} connected)")
+
+        while True:
+            opcode, payload = await read_frame(reader)
+            if opcode == 0x1:  # text
+                frame = encode_frame(0x1, payload)
+                for client in clients - {writer}:
+                    client.write(frame)
+            elif opcode == 0x8:  # close
+                writer.write(encode_frame(0x8, payload[:2]))
+                break
+            elif opcode == 0x9:  # ping
+                writer.write(encode_frame(0xA, payload))
+            await writer.drain()
+    except (asyncio.IncompleteReadError, ConnectionError):
+        pass
+    except Exception as e:
+        print(f"Dropping client {address}: {e}")
+    finally:
+        if writer in clients:
+            clients.discard(writer)
+            print(f"Client disconnected: {address} ({len(clients)} connected)")
+        writer.close()
+
+async def run_relay(host, port):
+    server = await asyncio.start_server(handle_client, host, port)
+    print(f"Relay started at ws://{host}:{port}, accepting {', '.join(sorted(allowed_origins))}")
+    async with server:
+        await server.serve_forever()
+
+def start_relay(port=8765, host="127.0.0.1", origins=None):
+    allowed_origins.clear()
+    allowed_origins.update(origin.rstrip("/") for origin in origins or DEFAULT_ORIGINS)
+    try:
+        asyncio.run(run_relay(host, port))
+    except KeyboardInterrupt:
+        print("\nShutting down relay...")
+        sys.exit(0)
+    except Exception as e:
+        print(f"Error starting relay: {e}")
+        sys.exit(1)
+
+if __name__ == "__main__":
+    parser = argparse.ArgumentParser(description="Relay for controller.html and remote displays")
+    parser.add_argument("port", nargs="?", type=int, default=8765)
+    parser.add_argument("--host", default="127.0.0.1",
+                        help="interface to listen on, e.g. 0.0.0.0 for other devices (default: 127.0.0.1)")
+    parser.add_argument("--origin", action="append", dest="origins",
+                        help="page origin allowed to connect, e.g. http://192.168.1.20:8000; repeatable "
+                             f"(default: {' and '.join(DEFAULT_ORIGINS)})")
+    args = parser.parse_args()
+    start_relay(args.port, args.host, args.origins)
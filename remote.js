@@ -0,0 +1,120 @@
+// Transport for the remote control protocol: JSON messages over a
+// BroadcastChannel between tabs on the same machine and, optionally, over a
+// WebSocket to a relay that forwards them between devices (see relay.py).
+//
+// Messages:
+//   { type: 'hello' }                              a controller joined; displays reply with their state
+//   { type: 'command', command, args }             run a command on every display
+//   { type: 'result', replyTo, ok, value, error }  a display's answer to a command
+//   { type: 'state', state }                       a display's scene after it changed
+//
+// Every message carries an id, so one that arrives over both transports is
+// only handled once.
+export const REMOTE_CHANNEL = 'particle-animation-remote';
+
+const createId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+export class RemoteConnection {
+    constructor({ channel = REMOTE_CHANNEL, url = null, reconnectDelay = 1000 } = {}) {
+        this.listeners = new Set();
+        this.statusListeners = new Set();
+        this.seen = new Set();
+        this.url = url;
+        this.socket = null;
+        this.reconnectDelay = reconnectDelay;
+        this.retries = 0;
+        this.reconnectTimeout = null;
+        this.closed = false;
+
+        this.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(channel);
+        this.channel?.addEventListener('message', event => this.receive(event.data));
+
+        if (url) this.connect();
+    }
+
+    // 'open', 'closed' or 'off' (no relay configured)
+    get status() {
+        if (!this.url) return 'off';
+        return this.socket?.readyState === WebSocket.OPEN ? 'open' : 'closed';
+    }
+
+    connect() {
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Invalid relay URL:', error);
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.retries = 0;
+            this.notifyStatus();
+        };
+        this.socket.onmessage = event => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed remote message:', error);
+            }
+        };
+        // Keeps retrying, backing off up to 10 seconds between attempts
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.notifyStatus();
+            if (this.closed) return;
+            const delay = Math.min(this.reconnectDelay * 2 ** this.retries++, 10000);
+            this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+        };
+    }
+
+    send(message) {
+        const outgoing = { id: createId(), ...message };
+        this.seen.add(outgoing.id);
+        this.channel?.postMessage(outgoing);
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(outgoing));
+        }
+        return outgoing.id;
+    }
+
+    // Subscribes to incoming messages; returns a function that unsubscribes
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    onStatus(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    receive(message) {
+        if (!message || typeof message.type !== 'string' || this.seen.has(message.id)) return;
+
+        if (message.id) {
+            this.seen.add(message.id);
+            // Only recent ids matter for duplicates
+            if (this.seen.size > 500) {
+                this.seen.delete(this.seen.values().next().value);
+            }
+        }
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Error in remote message listener:', error);
+            }
+        });
+    }
+
+    notifyStatus() {
+        this.statusListeners.forEach(listener => listener(this.status));
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.channel?.close();
+        this.socket?.close();
+    }
+}